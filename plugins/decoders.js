@@ -0,0 +1,68 @@
+import { copyFileSync, createReadStream, existsSync, mkdirSync, readdirSync } from 'node:fs'
+import { dirname, join, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+// ============================================================================
+// DECODERS PLUGIN - Ship three.js's Draco and Basis (KTX2) decoders with the site
+// ============================================================================
+// The GLB loader fetches these at runtime from `<base>decoders/…`. Serving them from our own
+// origin means compressed models work on GitHub Pages/Netlify with no CDN.
+//   dev:   served straight from node_modules
+//   build: copied into `<outDir>/decoders/`
+const root = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+const threeLibs = join(root, 'node_modules/three/examples/jsm/libs')
+
+const decoderFolders = {
+  draco: { from: join(threeLibs, 'draco/gltf'), files: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js'] },
+  basis: { from: join(threeLibs, 'basis'), files: ['basis_transcoder.js', 'basis_transcoder.wasm'] },
+}
+
+const contentTypes = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+}
+
+export function decodersPlugin() {
+  let base = '/'
+  let outDir = 'dist'
+
+  return {
+    name: 'modelhair-decoders',
+
+    configResolved(config) {
+      base = config.base
+      outDir = resolve(config.root, config.build.outDir)
+    },
+
+    // Answer `<base>decoders/<folder>/<file>` requests from node_modules while developing
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const prefix = `${base}decoders/`
+        const url = (req.url || '').split('?')[0]
+        if (!url.startsWith(prefix)) return next()
+
+        const [folder, file] = url.slice(prefix.length).split('/')
+        const source = decoderFolders[folder]
+        if (!source || !source.files.includes(file)) return next()
+
+        const extension = file.slice(file.lastIndexOf('.'))
+        res.setHeader('Content-Type', contentTypes[extension] || 'application/octet-stream')
+        createReadStream(join(source.from, file)).pipe(res)
+      })
+    },
+
+    writeBundle() {
+      Object.entries(decoderFolders).forEach(([folder, source]) => {
+        if (!existsSync(source.from)) {
+          this.warn(`Decoder folder not found, compressed models will fail to load: ${source.from}`)
+          return
+        }
+        const target = join(outDir, 'decoders', folder)
+        mkdirSync(target, { recursive: true })
+        readdirSync(source.from)
+          .filter((file) => source.files.includes(file))
+          .forEach((file) => copyFileSync(join(source.from, file), join(target, file)))
+      })
+    },
+  }
+}
@@ -0,0 +1,107 @@
+// ============================================================================
+// ACTION QUEUE - Hold model actions until the viewer can actually run them
+// ============================================================================
+// Actions that arrive before the model has loaded (and finished its intro) wait here,
+// then replay in order. `mode` decides what happens to a backlog:
+//   'replay'   - run every queued action in order
+//   'coalesce' - collapse back-to-back repeats of the same action into one
+//   'latest'   - only run the most recent action, drop the rest
+// Actions older than `maxAgeMs` are dropped as stale (0 = never expire).
+// While `canWait()` is false nothing is coming that would make the viewer ready (e.g. the only
+// model failed to load), so actions run right away and answer with their error instead of waiting.
+import { ERROR_CODES, actionResult } from './protocol.js'
+
+export const QUEUE_MODES = ['replay', 'coalesce', 'latest']
+
+// Two queued entries are repeats when both the action and its params match
+function isSameAction(a, b) {
+  return a.action === b.action && JSON.stringify(a.params) === JSON.stringify(b.params)
+}
+
+/**
+ * @param {object} options
+ * @param {(action: string, params: object) => { ok: boolean, error: object|null }} options.run - Runs one action right now
+ * @param {() => boolean} options.isReady - False while actions should wait
+ * @param {() => boolean} [options.canWait] - False when waiting is pointless (actions then run and fail right away)
+ * @param {'replay'|'coalesce'|'latest'} [options.mode]
+ * @param {number} [options.maxAgeMs]
+ */
+export function createActionQueue({ run, isReady, canWait = () => true, mode = 'replay', maxAgeMs = 0 }) {
+  if (!QUEUE_MODES.includes(mode)) {
+    console.warn(`Unknown action queue mode "${mode}", falling back to "replay"`)
+    mode = 'replay'
+  }
+
+  let pending = [] // { action, params, queuedAt, onResult? }
+
+  function drop(entry, reason, code = ERROR_CODES.dropped) {
+    console.log('[queue] dropped action:', entry.action, `(${reason})`)
+    entry.onResult?.(actionResult(false, code, `Action "${entry.action}" was dropped: ${reason}`))
+  }
+
+  // Apply the staleness limit and queue mode, returning the entries that should still run
+  function selectEntries(entries) {
+    const now = performance.now()
+    const fresh = []
+    entries.forEach((entry) => {
+      if (maxAgeMs > 0 && now - entry.queuedAt > maxAgeMs) drop(entry, 'stale')
+      else fresh.push(entry)
+    })
+
+    if (mode === 'latest') {
+      fresh.slice(0, -1).forEach((entry) => drop(entry, 'superseded by a newer action'))
+      return fresh.slice(-1)
+    }
+
+    if (mode === 'coalesce') {
+      const kept = []
+      fresh.forEach((entry) => {
+        const previous = kept[kept.length - 1]
+        if (previous && isSameAction(previous, entry)) {
+          // Keep the newest copy; the earlier caller still gets an answer
+          drop(previous, 'coalesced with a repeat')
+          kept[kept.length - 1] = entry
+        } else {
+          kept.push(entry)
+        }
+      })
+      return kept
+    }
+
+    return fresh
+  }
+
+  return {
+    // Run now if possible, otherwise queue. `onResult` is called once the action has run (or been dropped).
+    enqueue(action, params = {}, onResult) {
+      if ((isReady() && pending.length === 0) || !canWait()) {
+        const result = run(action, params)
+        onResult?.(result)
+        return result
+      }
+      console.log('[queue] waiting for the model before running:', action)
+      pending.push({ action, params, queuedAt: performance.now(), onResult })
+      return { ...actionResult(true), queued: true }
+    },
+
+    // Replay the backlog once `isReady()` is true
+    flush() {
+      if (!isReady() || pending.length === 0) return
+      const entries = selectEntries(pending)
+      pending = []
+      entries.forEach((entry) => {
+        console.log('[queue] processing queued action:', entry.action)
+        entry.onResult?.(run(entry.action, entry.params))
+      })
+    },
+
+    // Drop everything (e.g. when the model failed to load); `code` is the error code callers get
+    clear(reason = 'queue cleared', code = ERROR_CODES.dropped) {
+      pending.splice(0).forEach((entry) => drop(entry, reason, code))
+    },
+
+    get size() {
+      return pending.length
+    },
+  }
+}
@@ -0,0 +1,131 @@
+// ============================================================================
+// ANNOUNCER - Tells screen reader users what the viewer is doing
+// ============================================================================
+// A visually hidden ARIA live region that speaks:
+//   - load state: "Loading 804 A…", "804 A loaded", "Couldn't load 804 A"
+//   - the orientation once the model comes to rest: "Tilted forward 90°, top view"
+// Turn it off with `announcer: false`, or pass `{ messages }` to translate it.
+import { VIEWER_EVENTS } from './protocol.js'
+import { normalizeDeg } from './snap.js'
+
+export const defaultAnnouncerOptions = {
+  messages: {
+    loading: (name) => `Loading ${name}…`,
+    loaded: (name) => `${name} loaded`,
+    error: (name) => `Couldn’t load ${name}`,
+    upright: 'Upright',
+    tiltedForward: (deg) => `Tilted forward ${deg}°`,
+    tiltedBack: (deg) => `Tilted back ${deg}°`,
+    views: { top: 'top view', bottom: 'bottom view', front: 'front view', back: 'back view', left: 'left side view', right: 'right side view' },
+    turned: (deg) => `turned ${deg}°`,
+  },
+  settleDelayMs: 600, // Wait this long after movement stops before announcing the orientation
+}
+
+// Hidden from sight but still read by screen readers
+const visuallyHidden = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;'
+
+/**
+ * Describe a rotation (degrees, as in getModelState().rotation) in words,
+ * e.g. "Tilted forward 90°, top view" or "Upright, back view".
+ */
+export function describeOrientation(rotation, messages = defaultAnnouncerOptions.messages) {
+  const pitch = Math.round(rotation.x)
+  const tiltText = Math.abs(pitch) < 3
+    ? messages.upright
+    : pitch > 0 ? messages.tiltedForward(pitch) : messages.tiltedBack(-pitch)
+
+  // Looking down on the model (or up at it) wins over the left/right/front/back direction
+  let viewText
+  if (pitch >= 60) viewText = messages.views.top
+  else if (pitch <= -60) viewText = messages.views.bottom
+  else {
+    const yaw = normalizeDeg(Math.round(rotation.y))
+    const named = [[0, 'front'], [90, 'right'], [180, 'back'], [270, 'left'], [360, 'front']]
+      .find(([angle]) => Math.abs(yaw - angle) <= 22)
+    viewText = named ? messages.views[named[1]] : messages.turned(yaw)
+  }
+
+  return `${tiltText}, ${viewText}`
+}
+
+/**
+ * @param {import('./viewer.js').Viewer} viewer
+ * @param {HTMLElement} container - Element the live region is appended to
+ * @param {object} [options] - `messages` / `settleDelayMs` overrides (see defaultAnnouncerOptions)
+ */
+export function createAnnouncer(viewer, container, options = {}) {
+  const settings = {
+    ...defaultAnnouncerOptions,
+    ...options,
+    messages: {
+      ...defaultAnnouncerOptions.messages,
+      ...options.messages,
+      views: { ...defaultAnnouncerOptions.messages.views, ...options.messages?.views },
+    },
+  }
+  const { messages } = settings
+
+  const region = document.createElement('div')
+  region.setAttribute('role', 'status')
+  region.setAttribute('aria-live', 'polite')
+  region.setAttribute('aria-atomic', 'true')
+  region.style.cssText = visuallyHidden
+  container.appendChild(region)
+
+  let settleTimer = null
+  let frame = null // Pending requestAnimationFrame that fills in the next message
+
+  function announce(text) {
+    // Clearing first makes screen readers repeat a message that happens to be the same as the last one
+    region.textContent = ''
+    cancelAnimationFrame(frame)
+    frame = requestAnimationFrame(() => {
+      frame = null
+      region.textContent = text
+    })
+  }
+
+  // Wait until spins, snaps and flicks have finished, then say where the model ended up
+  function announceOrientationWhenSettled() {
+    clearTimeout(settleTimer)
+    settleTimer = setTimeout(() => {
+      const state = viewer.getModelState()
+      if (!state.rotation) return
+      const { spin, tilt, snap, inertia, gesture } = state.animating
+      if (spin || tilt || snap || inertia || gesture || viewer.isPointerDown) {
+        announceOrientationWhenSettled()
+        return
+      }
+      announce(describeOrientation(state.rotation, messages))
+    }, settings.settleDelayMs)
+  }
+
+  const nameOf = (detail) => detail.name || viewer.modelName || detail.file
+
+  const listeners = {
+    [VIEWER_EVENTS.loadStart]: (event) => {
+      clearTimeout(settleTimer)
+      announce(messages.loading(viewer.describeModelFile(event.detail.file)))
+    },
+    [VIEWER_EVENTS.loaded]: (event) => announce(messages.loaded(nameOf(event.detail))),
+    [VIEWER_EVENTS.loadError]: (event) => announce(messages.error(viewer.describeModelFile(event.detail.file))),
+    [VIEWER_EVENTS.introComplete]: announceOrientationWhenSettled,
+    [VIEWER_EVENTS.spinEnd]: announceOrientationWhenSettled,
+    [VIEWER_EVENTS.tiltEnd]: announceOrientationWhenSettled,
+    [VIEWER_EVENTS.snapDetent]: announceOrientationWhenSettled,
+    [VIEWER_EVENTS.dragEnd]: announceOrientationWhenSettled,
+  }
+  Object.entries(listeners).forEach(([name, listener]) => viewer.addEventListener(name, listener))
+
+  return {
+    element: region,
+    announce,
+    dispose() {
+      clearTimeout(settleTimer)
+      cancelAnimationFrame(frame)
+      Object.entries(listeners).forEach(([name, listener]) => viewer.removeEventListener(name, listener))
+      region.remove()
+    },
+  }
+}
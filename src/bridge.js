@@ -0,0 +1,143 @@
+// ============================================================================
+// IFRAME BRIDGE - The one place that talks to a parent page (e.g. Webflow)
+// ============================================================================
+// Owns the message listener and the ready handshake. main.js only provides callbacks;
+// queueing actions until a model exists is handled by the action queue behind `handleAction`.
+//
+// Handshake:
+//   1. When the viewer boots it posts ONE `iframe-ready` event (with capabilities) to the parent.
+//   2. A parent that attached its listener late can send `{ protocol, version, type: 'hello' }`
+//      at any time and gets the same ready event back as a direct reply.
+// After that the viewer streams `{ type: 'event', event, detail }` messages via `emit()`.
+import {
+  ERROR_CODES,
+  MESSAGE_TYPES,
+  PROTOCOL_VERSION,
+  actionResult,
+  createEnvelope,
+  createResponse,
+  isProtocolMessage,
+  validateLegacyAction,
+  validateRequest,
+} from './protocol.js'
+import { getParentTargetOrigins, isAllowedOrigin } from './config.js'
+
+/**
+ * @param {object} options
+ * @param {(action: string, params: object, onResult: Function) => void} options.handleAction - Runs (or queues)
+ *   one action and calls `onResult({ ok, error })` once it has run
+ * @param {() => object} options.getState - Snapshot sent back with every reply
+ * @param {object} options.capabilities - Advertised in the ready event (supported actions etc.)
+ */
+export function createIframeBridge({ handleAction, getState, capabilities }) {
+  let started = false
+  let readySent = false
+
+  const readyMessage = () => createEnvelope(MESSAGE_TYPES.ready, { capabilities })
+
+  // Only the parent page, on an allowlisted origin (see src/config.js), may drive the viewer
+  function isTrustedMessage(event) {
+    if (event.source !== window.parent || window.parent === window) return false
+    if (!isAllowedOrigin(event.origin)) {
+      console.warn('[iframe] ignored message from untrusted origin:', event.origin)
+      return false
+    }
+    return true
+  }
+
+  // Post an unsolicited message to the parent on each allowlisted origin
+  function post(message) {
+    if (!window.parent || window.parent === window) return
+    getParentTargetOrigins().forEach((targetOrigin) => {
+      window.parent.postMessage(message, targetOrigin)
+    })
+  }
+
+  function reply(replyTo, id, result) {
+    replyTo.target.postMessage(createResponse(id, result, getState()), replyTo.origin)
+  }
+
+  function runAction(entry) {
+    handleAction(entry.action, entry.params || {}, (result) => {
+      if (entry.replyTo) reply(entry.replyTo, entry.id, result)
+    })
+  }
+
+  // Answer a versioned request: run the action, then post back { id, ok, error, state }
+  // Replies go only to the origin that sent the request.
+  function handleProtocolMessage(payload, replyTo) {
+    if (payload.type === MESSAGE_TYPES.hello) {
+      replyTo.target.postMessage(readyMessage(), replyTo.origin)
+      return
+    }
+    if (payload.type !== MESSAGE_TYPES.request) return
+
+    // Ids that failed validation are echoed back only when they're a safe primitive
+    const id = typeof payload.id === 'string' || typeof payload.id === 'number' ? payload.id : null
+
+    if (payload.version !== PROTOCOL_VERSION && typeof payload.version === 'number') {
+      reply(replyTo, id, actionResult(
+        false,
+        ERROR_CODES.unsupportedVersion,
+        `Protocol version ${payload.version} is not supported (expected ${PROTOCOL_VERSION})`
+      ))
+      return
+    }
+
+    const invalidReason = validateRequest(payload)
+    if (invalidReason) {
+      reply(replyTo, id, actionResult(false, ERROR_CODES.badRequest, invalidReason))
+      return
+    }
+
+    console.log('[iframe] received request:', payload.id, payload.action)
+    runAction({ action: payload.action, params: payload.params, id: payload.id, replyTo })
+  }
+
+  function onMessage(event) {
+    if (!isTrustedMessage(event)) return
+    const payload = event.data
+    const replyTo = { target: event.source, origin: event.origin }
+
+    if (isProtocolMessage(payload)) {
+      handleProtocolMessage(payload, replyTo)
+      return
+    }
+
+    if (!payload || payload.type !== MESSAGE_TYPES.legacyAction) return
+    const invalidReason = validateLegacyAction(payload)
+    if (invalidReason) {
+      console.warn('[iframe] ignored invalid model-action:', invalidReason)
+      return
+    }
+
+    console.log('[iframe] received action request:', payload.action)
+    runAction({ action: payload.action }) // Legacy messages are fire-and-forget (no reply)
+  }
+
+  return {
+    // Start listening and announce the viewer to the parent (safe to call more than once)
+    start() {
+      if (started) return
+      started = true
+      window.addEventListener('message', onMessage)
+      if (!readySent) {
+        readySent = true
+        console.log('Three.js viewer ready, notifying parent window')
+        post(readyMessage())
+      }
+    },
+
+    post,
+
+    // Notify the host page that something happened (see VIEWER_EVENTS in protocol.js)
+    emit(event, detail = {}) {
+      post(createEnvelope(MESSAGE_TYPES.event, { event, detail }))
+    },
+
+    stop() {
+      window.removeEventListener('message', onMessage)
+      started = false
+    },
+  }
+}
@@ -0,0 +1,146 @@
+// ============================================================================
+// ANIMATION CLIPS - Play the animations baked into a GLB (gltf.animations)
+// ============================================================================
+// One player per loaded model, wrapping a THREE.AnimationMixer. The viewer ticks it from
+// its animation loop and exposes it through the *-clip actions (play-clip, pause-clip,
+// seek-clip, loop-clip, crossfade-clip, stop-clip), so host pages can drive it over postMessage.
+import * as THREE from 'three'
+
+export const CLIP_LOOP_MODES = {
+  once: THREE.LoopOnce, // Play to the end and hold the last frame
+  repeat: THREE.LoopRepeat, // Start over at the end
+  pingpong: THREE.LoopPingPong, // Play forwards, then backwards
+}
+
+/**
+ * @param {THREE.Object3D} root - The loaded scene the clips animate
+ * @param {THREE.AnimationClip[]} animations - gltf.animations
+ * @param {object} [callbacks]
+ * @param {(detail: { clip: string }) => void} [callbacks.onFinished] - A clip played with `once` reached its end
+ */
+export function createClipPlayer(root, animations = [], { onFinished } = {}) {
+  const mixer = new THREE.AnimationMixer(root)
+  const clips = new Map() // Unique name -> clip
+  animations.forEach((clip, index) => {
+    // Unnamed clips become "clip-<index>"; a name that's already taken gets "-<index>" added,
+    // so every clip in the file can be listed and played
+    let name = clip.name || `clip-${index}`
+    while (clips.has(name)) name = `${name}-${index}`
+    clips.set(name, clip)
+  })
+  let current = null // { name, action } of the clip in front
+  let paused = false
+
+  const handleFinished = (event) => {
+    const entry = Array.from(clips.entries()).find(([, clip]) => clip === event.action.getClip())
+    if (entry) onFinished?.({ clip: entry[0] })
+  }
+  mixer.addEventListener('finished', handleFinished)
+
+  function getAction(name) {
+    const clip = clips.get(name)
+    if (!clip) throw new Error(`Unknown animation clip "${name}" (available: ${Array.from(clips.keys()).join(', ') || 'none'})`)
+    return mixer.clipAction(clip)
+  }
+
+  function applyLoop(action, mode = 'repeat', repetitions = Infinity) {
+    const loop = Object.hasOwn(CLIP_LOOP_MODES, mode) ? CLIP_LOOP_MODES[mode] : undefined
+    if (loop === undefined) throw new Error(`Unknown loop mode "${mode}" (use ${Object.keys(CLIP_LOOP_MODES).join(', ')})`)
+    action.setLoop(loop, repetitions)
+    action.clampWhenFinished = mode === 'once' // Hold the last pose instead of snapping back
+  }
+
+  return {
+    // Clip names and lengths (seconds), as sent to the host page after load
+    list() {
+      return Array.from(clips.entries()).map(([name, clip]) => ({ name, duration: clip.duration }))
+    },
+
+    // Start a clip from the beginning. `fade` (seconds) blends from the clip already playing.
+    play(name, { loop = 'repeat', repetitions = Infinity, fade = 0, timeScale = 1 } = {}) {
+      const action = getAction(name)
+      applyLoop(action, loop, repetitions)
+      action.reset()
+      action.setEffectiveTimeScale(timeScale)
+      action.setEffectiveWeight(1)
+      action.play()
+      if (current && current.action !== action) {
+        if (fade > 0) current.action.crossFadeTo(action, fade, false)
+        else current.action.stop()
+      }
+      current = { name, action }
+      paused = false
+      mixer.timeScale = 1
+    },
+
+    // Blend from the current clip into another one over `duration` seconds, keeping its loop settings
+    crossfade(name, duration = 0.5) {
+      if (!current) return this.play(name)
+      const action = getAction(name)
+      if (action === current.action) return
+      action.reset()
+      action.setEffectiveTimeScale(1)
+      action.setEffectiveWeight(1)
+      action.play()
+      current.action.crossFadeTo(action, duration, false)
+      current = { name, action }
+      paused = false
+      mixer.timeScale = 1
+    },
+
+    // Freeze / continue everything (the mixer time stands still while paused)
+    pause() {
+      paused = true
+      mixer.timeScale = 0
+    },
+
+    resume() {
+      paused = false
+      mixer.timeScale = 1
+    },
+
+    // Jump to `time` seconds in the current clip (clamped to its length)
+    seek(time) {
+      if (!current) throw new Error('No animation clip is playing')
+      const { duration } = current.action.getClip()
+      current.action.time = THREE.MathUtils.clamp(time, 0, duration)
+      current.action.paused = false
+      current.action.enabled = true
+      mixer.update(0) // Apply the pose right away, even while paused
+    },
+
+    setLoop(mode, repetitions = Infinity) {
+      if (!current) throw new Error('No animation clip is playing')
+      applyLoop(current.action, mode, repetitions)
+    },
+
+    stop() {
+      mixer.stopAllAction()
+      current = null
+      paused = false
+      mixer.timeScale = 1
+    },
+
+    // Advance by `delta` seconds (called from the viewer's animation loop)
+    update(delta) {
+      mixer.update(delta)
+    },
+
+    getState() {
+      if (!current) return { clip: null, playing: false, time: 0, duration: 0 }
+      return {
+        clip: current.name,
+        playing: !paused && current.action.isRunning(),
+        time: current.action.time,
+        duration: current.action.getClip().duration,
+      }
+    },
+
+    dispose() {
+      mixer.removeEventListener('finished', handleFinished)
+      mixer.stopAllAction()
+      mixer.uncacheRoot(root)
+      current = null
+    },
+  }
+}
@@ -0,0 +1,35 @@
+// ============================================================================
+// VIEWER CONFIG - Settings that change between deployments
+// ============================================================================
+// Parent pages allowed to drive the viewer over postMessage.
+// Edit this list, or set it at build time with a comma-separated env variable:
+//   VITE_ALLOWED_ORIGINS="https://www.example.com,https://example.webflow.io" npm run build:github
+// Use '*' only for local testing - it lets any page control the viewer.
+const defaultAllowedOrigins = [
+  // 'https://your-webflow-domain.com',
+]
+
+function parseOriginList(value) {
+  return String(value || '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, '')) // Ignore spaces and trailing slashes
+    .filter(Boolean)
+}
+
+const envOrigins = parseOriginList(import.meta.env.VITE_ALLOWED_ORIGINS)
+
+export const allowedOrigins = envOrigins.length > 0 ? envOrigins : defaultAllowedOrigins
+
+// The viewer's own origin is always trusted (same-site embeds and local dev)
+export function isAllowedOrigin(origin) {
+  if (!origin || origin === 'null') return false
+  if (origin === window.location.origin) return true
+  return allowedOrigins.includes('*') || allowedOrigins.includes(origin)
+}
+
+// Origins to target when posting unsolicited messages (like `iframe-ready`) to the parent.
+// postMessage silently drops a message whose target origin doesn't match, so only the real parent receives it.
+export function getParentTargetOrigins() {
+  if (allowedOrigins.includes('*')) return ['*']
+  return Array.from(new Set([window.location.origin, ...allowedOrigins]))
+}
@@ -0,0 +1,34 @@
+// ============================================================================
+// DISPOSE HELPERS - Free GPU memory held by three.js objects
+// ============================================================================
+// three.js never frees geometries, materials or textures on its own; removing an
+// object from the scene only hides it. These helpers release everything below a root.
+
+// Dispose every texture a material references (map, normalMap, envMap, …)
+export function disposeMaterial(material) {
+  Object.values(material).forEach((value) => {
+    if (value && value.isTexture) value.dispose()
+  })
+  material.dispose()
+}
+
+// Dispose geometries, materials and textures of `root` and all its children.
+// Shared resources are only disposed once.
+export function disposeObject3D(root) {
+  const geometries = new Set()
+  const materials = new Set()
+
+  root.traverse((obj) => {
+    if (obj.geometry) geometries.add(obj.geometry)
+    if (obj.material) {
+      const list = Array.isArray(obj.material) ? obj.material : [obj.material]
+      list.forEach((material) => materials.add(material))
+    }
+    if (obj.skeleton) obj.skeleton.dispose()
+    if (typeof obj.dispose === 'function' && !obj.isScene) obj.dispose() // Helpers and lights (shadow maps)
+  })
+
+  geometries.forEach((geometry) => geometry.dispose())
+  materials.forEach((material) => disposeMaterial(material))
+  root.removeFromParent()
+}
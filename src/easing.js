@@ -0,0 +1,186 @@
+// ============================================================================
+// EASING - Named easing curves shared by intros, timelines, actions and snapping
+// ============================================================================
+// Each takes progress 0-1 and returns eased progress (0 at the start, 1 at the end).
+// Reference them by name in JSON config: "easing": "easeOutCubic".
+// Families: linear, quad, cubic, back (overshoots a little), elastic (wobbles) and spring.
+// The bare family names are shortcuts: "quad" = easeInOutQuad, "back" = easeOutBack…
+//
+// A spring can be tuned with an object instead of a name:
+//   "easing": { "type": "spring", "stiffness": 170, "damping": 26 }
+// Inside a timed move (spin, tilt, timeline keys) the spring's motion is fitted into the duration.
+// As a snap easing it runs as real physics instead: it starts with the speed of the drag, flick
+// or spin it takes over from, and takes as long as it needs to settle.
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+const easeInQuad = (t) => t * t
+const easeOutQuad = (t) => 1 - (1 - t) * (1 - t)
+const easeInOutQuad = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2)
+
+const easeInCubic = (t) => t * t * t
+const easeOutCubic = (t) => 1 - Math.pow(1 - t, 3)
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+
+// Back: pulls back before leaving / overshoots before arriving (by about 10%)
+const BACK = 1.70158
+const easeInBack = (t) => (BACK + 1) * t * t * t - BACK * t * t
+const easeOutBack = (t) => 1 + (BACK + 1) * Math.pow(t - 1, 3) + BACK * Math.pow(t - 1, 2)
+const easeInOutBack = (t) => {
+  const c = BACK * 1.525
+  return t < 0.5
+    ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2
+    : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2
+}
+
+// Elastic: a springy wobble around the start / end
+const ELASTIC = (2 * Math.PI) / 3
+const easeInElastic = (t) => (t <= 0 || t >= 1 ? t : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC))
+const easeOutElastic = (t) => (t <= 0 || t >= 1 ? t : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ELASTIC) + 1)
+const easeInOutElastic = (t) => {
+  if (t <= 0 || t >= 1) return t
+  const c = (2 * Math.PI) / 4.5
+  return t < 0.5
+    ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c)) / 2
+    : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c)) / 2 + 1
+}
+
+// ---- Springs ----
+// stiffness pulls toward the target, damping slows it down (mass rarely needs changing).
+// damping below 2 * sqrt(stiffness * mass) overshoots and bounces; above it creeps in without overshooting.
+export const defaultSpring = { stiffness: 170, damping: 26, mass: 1 }
+
+// Accepted range per spring setting: above `min`, up to `max`. The caps keep stepSpring() to a
+// sensible number of steps per frame (stiffer, lighter or more damped springs need smaller steps).
+const SPRING_LIMITS = {
+  stiffness: { min: 0, max: 10000 },
+  damping: { min: 0, max: 1000 },
+  mass: { min: 0.01, max: 100 },
+}
+
+// Fill in the defaults for a spring easing ("spring" or { type: 'spring', … })
+export function resolveSpring(spec) {
+  const overrides = isObject(spec) ? spec : {}
+  return {
+    stiffness: overrides.stiffness ?? defaultSpring.stiffness,
+    damping: overrides.damping ?? defaultSpring.damping,
+    mass: overrides.mass ?? defaultSpring.mass,
+  }
+}
+
+export function isSpringEasing(spec) {
+  return spec === 'spring' || (isObject(spec) && spec.type === 'spring')
+}
+
+// Progress of a spring let go at 0 (standing still) toward 1, after `time` seconds
+function springPosition({ stiffness, damping, mass }, time) {
+  const omega = Math.sqrt(stiffness / mass) // Natural frequency
+  const zeta = damping / (2 * Math.sqrt(stiffness * mass)) // Damping ratio (1 = no overshoot, fastest)
+  if (zeta < 1) {
+    const omegaD = omega * Math.sqrt(1 - zeta * zeta)
+    return 1 - Math.exp(-zeta * omega * time) * (Math.cos(omegaD * time) + ((zeta * omega) / omegaD) * Math.sin(omegaD * time))
+  }
+  if (zeta === 1) return 1 - Math.exp(-omega * time) * (1 + omega * time)
+  const root = Math.sqrt(zeta * zeta - 1)
+  const r1 = -omega * (zeta - root)
+  const r2 = -omega * (zeta + root)
+  return 1 - (r2 * Math.exp(r1 * time) - r1 * Math.exp(r2 * time)) / (r2 - r1)
+}
+
+// Seconds until the spring is within 0.1% of its target
+function springSettleTime({ stiffness, damping, mass }) {
+  const omega = Math.sqrt(stiffness / mass)
+  const zeta = damping / (2 * Math.sqrt(stiffness * mass))
+  const decay = zeta <= 1 ? zeta * omega : omega * (zeta - Math.sqrt(zeta * zeta - 1)) // Slowest fading part
+  return Math.log(1000) / decay
+}
+
+// The spring's motion squeezed into progress 0-1, for moves that have a fixed duration
+function springCurve(spec) {
+  const spring = resolveSpring(spec)
+  const settleTime = springSettleTime(spring)
+  return (t) => (t >= 1 ? 1 : springPosition(spring, Math.max(t, 0) * settleTime))
+}
+
+/**
+ * Advance a spring by `dt` seconds (physics mode, used by snapping).
+ * Returns the new { value, velocity }; velocity is in value units per second.
+ */
+export function stepSpring({ value, velocity }, target, dt, spec) {
+  const { stiffness, damping, mass } = resolveSpring(spec)
+  // Stepping like this only stays stable while each step is short next to how fast the spring
+  // swings (sqrt(k/m)) and how hard it is damped (c/m). Keeping that product at 0.5 or less
+  // (and stepping at least 240 times a second for smoothness) keeps stiff springs from blowing up.
+  const rate = Math.sqrt(stiffness / mass) + damping / mass
+  const steps = Math.max(1, Math.ceil(dt * Math.max(240, rate * 2)))
+  const h = dt / steps
+  for (let i = 0; i < steps; i++) {
+    const force = -stiffness * (value - target) - damping * velocity
+    velocity += (force / mass) * h
+    value += velocity * h
+  }
+  return { value, velocity }
+}
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeInQuad,
+  easeOutQuad,
+  easeInOutQuad,
+  easeInCubic,
+  easeOutCubic,
+  easeInOutCubic,
+  easeInBack,
+  easeOutBack,
+  easeInOutBack,
+  easeInElastic,
+  easeOutElastic,
+  easeInOutElastic,
+  spring: springCurve(defaultSpring),
+  // Family shortcuts
+  quad: easeInOutQuad,
+  cubic: easeInOutCubic,
+  back: easeOutBack,
+  elastic: easeOutElastic,
+}
+
+export function isEasingName(name) {
+  return Object.prototype.hasOwnProperty.call(EASINGS, name)
+}
+
+/**
+ * Check an easing from config or an action: a name from EASINGS or a spring object.
+ * @returns {string|null} What's wrong with it, or null when it's fine
+ */
+export function validateEasing(spec) {
+  if (typeof spec === 'string') {
+    return isEasingName(spec) ? null : `unknown easing "${spec}" (use ${Object.keys(EASINGS).join(', ')})`
+  }
+  if (!isObject(spec) || spec.type !== 'spring') {
+    return 'easing must be a name like "easeOutCubic" or { "type": "spring", "stiffness": 170, "damping": 26 }'
+  }
+  const invalid = Object.keys(SPRING_LIMITS).find((key) => {
+    const value = spec[key]
+    const { min, max } = SPRING_LIMITS[key]
+    return value !== undefined && !(Number.isFinite(value) && value > min && value <= max)
+  })
+  if (!invalid) return null
+  const { min, max } = SPRING_LIMITS[invalid]
+  return `spring "${invalid}" must be a number above ${min} and at most ${max}`
+}
+
+// Curves built from spring objects, so timelines don't rebuild them every frame
+const springCurves = new Map()
+
+// Look up a curve by name or spring object (unknown names fall back to easeInOutCubic)
+export function getEasing(spec) {
+  if (isObject(spec) && spec.type === 'spring') {
+    const spring = resolveSpring(spec)
+    const key = `${spring.stiffness}/${spring.damping}/${spring.mass}`
+    if (!springCurves.has(key)) springCurves.set(key, springCurve(spring))
+    return springCurves.get(key)
+  }
+  return isEasingName(spec) ? EASINGS[spec] : EASINGS.easeInOutCubic
+}
@@ -0,0 +1,287 @@
+// ============================================================================
+// <model-hair-viewer> - The viewer as a drop-in Web Component (no iframe needed)
+// ============================================================================
+//   <script type="module" src="https://example.github.io/modelhair/element/model-hair-viewer.js"></script>
+//   <model-hair-viewer model="MyModel.glb" texture="albedo.jpg" style="width: 100%; height: 480px"></model-hair-viewer>
+//
+// Attributes: product (id from models/manifest.json), model, texture, environment,
+//   snap ("false"/"off" disables snapping), base-url, intro (preset name, e.g. "top-down" or "none"),
+//   no-overlay (hide the built-in loading overlay),
+//   scroll-driven (follow the page scroll; optional CSS selector of the section that drives it, default the element)
+// Theme the overlay with --mhv-overlay-background / --mhv-overlay-text / --mhv-overlay-accent or ::part(overlay),
+// and the keyboard focus ring with --mhv-focus-ring.
+// Methods mirror the action set: spin(), turnLeft(), tilt(degrees), resetView(), loadModel(file), action(name, params)…
+// Events: the same names the iframe bridge sends (model-loaded, spin-start, snap…), as bubbling CustomEvents.
+import { VIEWER_EVENTS } from './protocol.js'
+import { MODEL_ACTIONS, Viewer, defaultViewerOptions } from './viewer.js'
+import { loadManifest } from './manifest.js'
+import { observeScrollProgress } from './scroll.js'
+
+// Assets live next to the built element: <outDir>/element/model-hair-viewer.js -> <outDir>/models/…
+const defaultBaseUrl = new URL('../', import.meta.url).href
+
+const template = document.createElement('template')
+template.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      position: relative;
+      width: 100%;
+      height: 400px; /* Override with your own CSS; the canvas follows the element's box */
+      contain: content;
+    }
+    :host([hidden]) {
+      display: none;
+    }
+    .viewer-container {
+      position: absolute;
+      inset: 0;
+    }
+    canvas {
+      display: block;
+      touch-action: none;
+    }
+  </style>
+  <div class="viewer-container" part="container"></div>
+`
+
+function parseSnapAttribute(value) {
+  if (value === null) return defaultViewerOptions.snap
+  return !['false', 'off', '0', 'no'].includes(value.trim().toLowerCase())
+}
+
+export class ModelHairViewerElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['product', 'model', 'texture', 'environment', 'snap', 'scroll-driven']
+  }
+
+  constructor() {
+    super()
+    this.attachShadow({ mode: 'open' }).appendChild(template.content.cloneNode(true))
+    this.viewer = null
+    this.unobserveScroll = null
+  }
+
+  connectedCallback() {
+    if (this.viewer) return
+    const container = this.shadowRoot.querySelector('.viewer-container')
+    this.viewer = new Viewer(container, {
+      baseUrl: this.getAttribute('base-url') || defaultBaseUrl,
+      texture: this.getAttribute('texture'),
+      environment: this.getAttribute('environment') || defaultViewerOptions.environment,
+      snap: parseSnapAttribute(this.getAttribute('snap')),
+      loadingOverlay: !this.hasAttribute('no-overlay'),
+      intro: this.getAttribute('intro'),
+    })
+
+    // Re-dispatch viewer events from the element so page code can listen on it directly
+    Object.values(VIEWER_EVENTS).forEach((eventName) => {
+      this.viewer.addEventListener(eventName, (event) => {
+        this.dispatchEvent(new CustomEvent(eventName, { detail: event.detail, bubbles: true, composed: true }))
+      })
+    })
+
+    this.updateScrollDriven()
+
+    // Products come from <base-url>models/manifest.json; without one, `model` is loaded as-is
+    const viewer = this.viewer
+    loadManifest(viewer.assetUrl('models', 'manifest.json')).then((manifest) => {
+      if (this.viewer !== viewer) return // Disconnected while the manifest was loading
+      viewer.setManifest(manifest)
+      this.loadCurrentSelection()
+    })
+  }
+
+  // Load the `product` attribute if it names a manifest product, otherwise the `model` attribute
+  loadCurrentSelection() {
+    const productId = this.getAttribute('product')
+    if (productId && this.viewer.manifest?.products.some((product) => product.id === productId)) {
+      return this.loadProduct(productId)
+    }
+    if (productId) console.warn(`<model-hair-viewer>: unknown product "${productId}", falling back to "model"`)
+    return this.loadModel(this.getAttribute('model') || undefined)
+  }
+
+  // Follow the scroll of the `scroll-driven` selector's element (or this element) while the attribute is set
+  updateScrollDriven() {
+    this.unobserveScroll?.()
+    this.unobserveScroll = null
+    if (!this.hasAttribute('scroll-driven')) {
+      this.viewer.handleModelAction('set-scroll-story', { story: false })
+      return
+    }
+    const selector = this.getAttribute('scroll-driven')
+    const section = (selector && document.querySelector(selector)) || this
+    if (selector && section === this) console.warn(`<model-hair-viewer>: scroll-driven section "${selector}" not found, using the element`)
+    this.unobserveScroll = observeScrollProgress(section, (progress) => this.viewer?.setScrollProgress(progress))
+  }
+
+  disconnectedCallback() {
+    this.unobserveScroll?.()
+    this.unobserveScroll = null
+    this.viewer?.dispose()
+    this.viewer = null
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this.viewer || oldValue === newValue) return
+    switch (name) {
+      case 'product':
+      case 'model':
+        this.loadCurrentSelection()
+        break
+      case 'texture':
+        // Textures are applied while a model loads, so reload the current one
+        this.viewer.options.texture = newValue
+        this.loadCurrentSelection()
+        break
+      case 'environment':
+        this.viewer.loadEnvironmentMap(newValue || undefined)
+        break
+      case 'snap':
+        this.viewer.setSnapEnabled(parseSnapAttribute(newValue))
+        break
+      case 'scroll-driven':
+        this.updateScrollDriven()
+        break
+    }
+  }
+
+  // ---- Actions (each returns { ok, error }, or { ok, queued } while the model is loading) ----
+  // A spin/tilt that waits for the running one (animation policy 'queue') also returns { ok, queued },
+  // one dropped by the 'ignore' policy { ok, ignored }.
+  action(name, params = {}) {
+    if (!this.viewer) return null
+    return this.viewer.handleModelAction(name, params)
+  }
+
+  // `easing` (optional): a name like 'easeOutBack' or { type: 'spring', stiffness, damping }
+  spin(degrees, duration, easing) {
+    return this.action('spin', { degrees, duration, easing })
+  }
+
+  turnLeft() {
+    return this.action('turn-left')
+  }
+
+  turnRight() {
+    return this.action('turn-right')
+  }
+
+  tilt(degrees, duration, easing) {
+    return this.action('tilt', { degrees, duration, easing })
+  }
+
+  tiltForward() {
+    return this.action('tilt-forward')
+  }
+
+  tiltBack() {
+    return this.action('tilt-back')
+  }
+
+  tiltNeutral() {
+    return this.action('tilt-neutral')
+  }
+
+  resetView() {
+    return this.action('reset-view')
+  }
+
+  // Embedded animation clips (names are in the model-loaded event's `clips` and in `state.clips`)
+  playClip(clip, options = {}) {
+    return this.action('play-clip', { clip, ...options })
+  }
+
+  crossfadeClip(clip, duration) {
+    return this.action('crossfade-clip', { clip, duration })
+  }
+
+  pauseClip() {
+    return this.action('pause-clip')
+  }
+
+  resumeClip() {
+    return this.action('resume-clip')
+  }
+
+  seekClip(time) {
+    return this.action('seek-clip', { time })
+  }
+
+  loopClip(loop, repetitions) {
+    return this.action('loop-clip', { loop, repetitions })
+  }
+
+  stopClip() {
+    return this.action('stop-clip')
+  }
+
+  // ---- Timelines: keyframed choreography (JSON tracks, or { preset: 'spin' | 'tilt' | 'turntable' | 'intro' }) ----
+  playTimeline(timeline) {
+    return this.action('play-timeline', { timeline })
+  }
+
+  pauseTimeline() {
+    return this.action('pause-timeline')
+  }
+
+  resumeTimeline() {
+    return this.action('resume-timeline')
+  }
+
+  // Scrub to `time` seconds, or pass { progress: 0-1 }
+  seekTimeline(time) {
+    return this.action('seek-timeline', typeof time === 'object' ? time : { time })
+  }
+
+  loopTimeline(loop) {
+    return this.action('loop-timeline', { loop })
+  }
+
+  stopTimeline() {
+    return this.action('stop-timeline')
+  }
+
+  // Scroll-driven mode (see the scroll-driven attribute): progress 0-1, and the story it plays (timeline.js)
+  setScrollProgress(progress) {
+    return this.action('scroll-progress', { progress })
+  }
+
+  setScrollStory(story, smoothing) {
+    return this.action('set-scroll-story', { story, smoothing })
+  }
+
+  // Override the snap rules (see snap.js); returns { ok: false, error } when they're invalid
+  setSnapRules(rules) {
+    return this.action('set-snap-rules', { rules })
+  }
+
+  // Swap to another model (crossfade). Resolves with { file, meshCount }; failures also fire `model-load-error`.
+  loadModel(file) {
+    if (!this.viewer) return Promise.reject(new Error('<model-hair-viewer> is not connected'))
+    const loading = this.viewer.loadModel(file)
+    loading.catch(() => {}) // Attribute-driven loads have no caller to handle the rejection
+    return loading
+  }
+
+  // Swap to a product from the manifest by id
+  loadProduct(id) {
+    if (!this.viewer) return Promise.reject(new Error('<model-hair-viewer> is not connected'))
+    const loading = this.viewer.loadProduct(id)
+    loading.catch(() => {})
+    return loading
+  }
+
+  get actions() {
+    return MODEL_ACTIONS
+  }
+
+  get state() {
+    return this.viewer?.getModelState() ?? null
+  }
+}
+
+if (!customElements.get('model-hair-viewer')) {
+  customElements.define('model-hair-viewer', ModelHairViewerElement)
+}
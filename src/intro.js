@@ -0,0 +1,133 @@
+// ============================================================================
+// INTRO SEQUENCES - What the model does right after it loads
+// ============================================================================
+// An intro is a list of steps that run one after another (or alongside the previous step
+// with "parallel": true). Set one per product in models/manifest.json ("intro"), or pick a
+// preset with `?intro=top-down`. `?intro=none` shows the model straight away.
+//
+//   "intro": [
+//     { "type": "tilt", "toDeg": 90, "duration": 0 },                  // Start looking from the top
+//     { "type": "fade", "duration": 1 },                               // Fade in
+//     { "type": "zoom", "from": 0.7, "to": 1, "duration": 1.5, "parallel": true },
+//     { "type": "wait", "duration": 0.4 },
+//     { "type": "tilt", "toDeg": 0, "duration": 1.5, "easing": "easeOutCubic" },
+//     { "type": "spin", "degrees": 360, "duration": 3 }
+//   ]
+//
+// Step types:
+//   fade  { duration }                 Opacity 0 -> 1 (the model stays hidden until this step starts)
+//   spin  { degrees, duration }        Turn around the Y axis, relative to where it is
+//   tilt  { toDeg, duration }          Tilt (X axis) to an angle, clamped by the snap rules
+//   zoom  { from, to, duration }       Camera zoom, 1 = framed view, 2 = twice as close
+//   wait  { duration }                 Pause before the next step
+// Every step also takes "easing" (a name from easing.js, e.g. easeOutBack, or a spring object) and "parallel".
+import { validateEasing } from './easing.js'
+
+const STEP_TYPES = ['fade', 'spin', 'tilt', 'zoom', 'wait']
+
+export const INTRO_PRESETS = {
+  // The original intro: fade in while spinning once
+  default: [
+    { type: 'fade', duration: 1.5 },
+    { type: 'spin', degrees: 360, duration: 3, parallel: true },
+  ],
+  // Start looking down on the model, then tilt it upright while the camera eases in
+  'top-down': [
+    { type: 'tilt', toDeg: 90, duration: 0 },
+    { type: 'fade', duration: 1 },
+    { type: 'zoom', from: 0.7, to: 1, duration: 1.5, parallel: true },
+    { type: 'wait', duration: 0.4 },
+    { type: 'tilt', toDeg: 0, duration: 1.6, easing: 'easeOutCubic' },
+  ],
+  fade: [{ type: 'fade', duration: 1.5 }],
+  none: [],
+}
+
+// Check one step; returns a clean copy or null (the error explains why)
+function normalizeStep(step, index, errors) {
+  const label = `intro[${index}]`
+  if (!step || typeof step !== 'object' || !STEP_TYPES.includes(step.type)) {
+    errors.push(`${label}: "type" must be one of ${STEP_TYPES.join(', ')}`)
+    return null
+  }
+
+  const duration = step.duration ?? 1
+  if (!Number.isFinite(duration) || duration < 0) {
+    errors.push(`${label}: "duration" must be a number of seconds (0 or more)`)
+    return null
+  }
+  const easing = step.easing ?? 'easeInOutCubic'
+  const easingError = validateEasing(easing)
+  if (easingError) {
+    errors.push(`${label}: ${easingError}`)
+    return null
+  }
+
+  const clean = { type: step.type, duration, easing, parallel: step.parallel === true }
+  const needNumber = (key, fallback) => {
+    const value = step[key] ?? fallback
+    if (Number.isFinite(value)) clean[key] = value
+    else errors.push(`${label}: "${key}" must be a number`)
+    return Number.isFinite(value)
+  }
+
+  if (step.type === 'spin' && !needNumber('degrees', 360)) return null
+  if (step.type === 'tilt' && !needNumber('toDeg')) return null
+  if (step.type === 'zoom' && !(needNumber('from', 1) && needNumber('to', 1))) return null
+  if (step.type === 'zoom' && (clean.from <= 0 || clean.to <= 0)) {
+    errors.push(`${label}: zoom "from" and "to" must be above 0`)
+    return null
+  }
+  return clean
+}
+
+/**
+ * Turn a preset name or a list of steps into validated steps.
+ * Broken steps are skipped; an unknown preset falls back to the default intro.
+ * @returns {{ steps: object[], errors: string[] }}
+ */
+export function normalizeIntro(input) {
+  const errors = []
+  let steps = input
+  if (input === undefined || input === null || input === '') steps = INTRO_PRESETS.default
+  else if (input === false) steps = INTRO_PRESETS.none
+  else if (typeof input === 'string') {
+    // Own keys only, so names like "toString" don't pick up Object.prototype methods
+    steps = Object.hasOwn(INTRO_PRESETS, input) ? INTRO_PRESETS[input] : null
+    if (!steps) {
+      errors.push(`Unknown intro preset "${input}" (use ${Object.keys(INTRO_PRESETS).join(', ')})`)
+      steps = INTRO_PRESETS.default
+    }
+  } else if (!Array.isArray(input)) {
+    errors.push('Intro must be a preset name or a list of steps')
+    steps = INTRO_PRESETS.default
+  }
+
+  // Presets go through the same checks so every step gets its defaults (easing, parallel…)
+  return { steps: steps.map((step, index) => normalizeStep(step, index, errors)).filter(Boolean), errors }
+}
+
+// Reduced motion keeps only a short fade: no spinning, tilting or zooming
+export function reduceIntroMotion(steps) {
+  return steps
+    .filter((step) => step.type === 'fade')
+    .map((step) => ({ ...step, duration: Math.min(step.duration, 0.3), parallel: false }))
+}
+
+/**
+ * Work out when each step starts (seconds after the intro begins).
+ * A step starts when everything before it has finished, or together with the
+ * previous step when `parallel` is set.
+ * @returns {{ timeline: object[], duration: number }}
+ */
+export function scheduleIntro(steps) {
+  let end = 0 // When everything scheduled so far has finished
+  let previousStart = 0
+  const timeline = steps.map((step) => {
+    const at = step.parallel ? previousStart : end
+    previousStart = at
+    end = Math.max(end, at + step.duration)
+    return { ...step, at }
+  })
+  return { timeline, duration: end }
+}
@@ -0,0 +1,40 @@
+// ============================================================================
+// GLB LOADER - GLTFLoader with Draco, Meshopt and KTX2 (Basis) support
+// ============================================================================
+// Optimized GLBs use compressed geometry (Draco / Meshopt) and compressed textures (KTX2).
+// The Draco and Basis decoders are fetched from `<decoderBaseUrl>draco/` and `<decoderBaseUrl>basis/`,
+// which the decoders Vite plugin serves in dev and copies into the build (no CDN needed).
+// The Meshopt decoder is small and bundled with the app.
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js'
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'
+
+/**
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer - Needed by KTX2 to pick a GPU texture format
+ * @param {string} options.decoderBaseUrl - Folder holding draco/ and basis/ (ends with '/')
+ * @returns {{ gltfLoader: GLTFLoader, dispose: () => void }}
+ */
+export function createGLTFLoader({ renderer, decoderBaseUrl }) {
+  const dracoLoader = new DRACOLoader()
+  dracoLoader.setDecoderPath(`${decoderBaseUrl}draco/`)
+
+  const ktx2Loader = new KTX2Loader()
+  ktx2Loader.setTranscoderPath(`${decoderBaseUrl}basis/`)
+  ktx2Loader.detectSupport(renderer)
+
+  const gltfLoader = new GLTFLoader()
+  gltfLoader.setDRACOLoader(dracoLoader)
+  gltfLoader.setKTX2Loader(ktx2Loader)
+  gltfLoader.setMeshoptDecoder(MeshoptDecoder)
+
+  return {
+    gltfLoader,
+    // Stop the decoder web workers (each viewer owns its own)
+    dispose() {
+      dracoLoader.dispose()
+      ktx2Loader.dispose()
+    },
+  }
+}
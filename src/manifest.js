@@ -0,0 +1,158 @@
+// ============================================================================
+// MODEL MANIFEST - Named products with per-model defaults (public/models/manifest.json)
+// ============================================================================
+// Marketing can add products by editing the manifest instead of main.js:
+//   {
+//     "default": "804-a",
+//     "products": [
+//       {
+//         "id": "804-a",                         // Used in ?product=804-a
+//         "name": "804 A",                       // Display name
+//         "file": "804_A_test_001.glb",          // File in public/models
+//         "texture": null,                       // Optional texture for materials without a map
+//         "environment": "park_music_stage_4k.hdr",
+//         "rotation": { "x": 0, "y": 0, "z": 0 }, // Initial rotation in degrees
+//         "snap": { ... },                       // Snap rules per axis (shape documented in snap.js)
+//         "cameraPadding": 1.5,                  // 1.5 = 50% space around the model
+//         "intro": "top-down"                    // Intro preset name or list of steps (see intro.js)
+//       }
+//     ]
+//   }
+// Anything missing or invalid falls back to the viewer defaults with a console warning.
+
+// Plain filenames only: no folders, no URLs, so ?model= can't point the viewer somewhere else
+const SAFE_MODEL_FILE = /^[\w\- .]+\.(?:glb|gltf)$/i
+const SAFE_ASSET_FILE = /^[\w\- .]+\.[a-z\d]+$/i
+
+export function isSafeModelFile(file) {
+  return typeof file === 'string' && SAFE_MODEL_FILE.test(file) && !file.includes('..')
+}
+
+function isSafeAssetFile(file) {
+  return typeof file === 'string' && SAFE_ASSET_FILE.test(file) && !file.includes('..')
+}
+
+function readRotation(rotation, id) {
+  if (rotation === undefined) return null
+  const axes = ['x', 'y', 'z']
+  if (!rotation || typeof rotation !== 'object' || axes.some((axis) => rotation[axis] !== undefined && !Number.isFinite(rotation[axis]))) {
+    console.warn(`[manifest] "${id}": "rotation" must be { x, y, z } in degrees, ignoring it`)
+    return null
+  }
+  return { x: rotation.x ?? 0, y: rotation.y ?? 0, z: rotation.z ?? 0 }
+}
+
+// Check one product entry; returns a clean copy or null (with a warning) when unusable
+function normalizeProduct(entry, index) {
+  const label = entry?.id ?? `products[${index}]`
+  if (!entry || typeof entry !== 'object') {
+    console.warn(`[manifest] ${label} is not an object, skipping it`)
+    return null
+  }
+  if (typeof entry.id !== 'string' || entry.id.trim() === '') {
+    console.warn(`[manifest] ${label} needs a string "id", skipping it`)
+    return null
+  }
+  if (!isSafeModelFile(entry.file)) {
+    console.warn(`[manifest] "${entry.id}" needs a "file" like "Model.glb" (no folders or URLs), skipping it`)
+    return null
+  }
+
+  const product = {
+    id: entry.id,
+    name: typeof entry.name === 'string' ? entry.name : entry.id,
+    file: entry.file,
+    texture: null,
+    environment: null,
+    rotation: readRotation(entry.rotation, entry.id),
+    snap: entry.snap && typeof entry.snap === 'object' ? entry.snap : null,
+    cameraPadding: null,
+    intro: null,
+  }
+
+  if (entry.texture != null) {
+    if (isSafeAssetFile(entry.texture)) product.texture = entry.texture
+    else console.warn(`[manifest] "${entry.id}": ignoring invalid "texture"`)
+  }
+  if (entry.environment != null) {
+    if (isSafeAssetFile(entry.environment)) product.environment = entry.environment
+    else console.warn(`[manifest] "${entry.id}": ignoring invalid "environment"`)
+  }
+  if (entry.cameraPadding != null) {
+    if (Number.isFinite(entry.cameraPadding) && entry.cameraPadding > 0) product.cameraPadding = entry.cameraPadding
+    else console.warn(`[manifest] "${entry.id}": "cameraPadding" must be a positive number`)
+  }
+
+  if (entry.intro != null) {
+    // Steps are checked when the intro runs (see intro.js); here only the overall shape
+    if (typeof entry.intro === 'string' || Array.isArray(entry.intro) || entry.intro === false) product.intro = entry.intro
+    else console.warn(`[manifest] "${entry.id}": "intro" must be a preset name or a list of steps`)
+  }
+
+  return product
+}
+
+export function normalizeManifest(json) {
+  const entries = Array.isArray(json?.products) ? json.products : []
+  const products = entries.map(normalizeProduct).filter(Boolean)
+  const ids = new Set()
+  const unique = products.filter((product) => {
+    if (ids.has(product.id)) {
+      console.warn(`[manifest] duplicate product id "${product.id}", keeping the first one`)
+      return false
+    }
+    ids.add(product.id)
+    return true
+  })
+
+  const defaultId = unique.some((product) => product.id === json?.default) ? json.default : unique[0]?.id ?? null
+  return { default: defaultId, products: unique }
+}
+
+// Fetch and validate the manifest. Resolves with null (never rejects) when it's missing or broken.
+export async function loadManifest(url) {
+  try {
+    const response = await fetch(url, { cache: 'no-cache' })
+    if (!response.ok) {
+      console.warn(`[manifest] ${url} returned ${response.status}, using viewer defaults`)
+      return null
+    }
+    return normalizeManifest(await response.json())
+  } catch (err) {
+    console.warn(`[manifest] could not read ${url}, using viewer defaults`, err)
+    return null
+  }
+}
+
+export function findProduct(manifest, id) {
+  return manifest?.products.find((product) => product.id === id) ?? null
+}
+
+export function findProductByFile(manifest, file) {
+  return manifest?.products.find((product) => product.file === file) ?? null
+}
+
+export function getDefaultProduct(manifest) {
+  return findProduct(manifest, manifest?.default)
+}
+
+// Decide what to show from ?product= / ?model=, falling back step by step:
+//   known product -> product whose file matches ?model= -> safe ?model= file -> manifest default -> null
+export function resolveStartupProduct(manifest, { product: productId, model } = {}) {
+  if (productId) {
+    const product = findProduct(manifest, productId)
+    if (product) return { product, file: product.file }
+    console.warn(`[manifest] unknown product "${productId}", falling back`)
+  }
+
+  if (model) {
+    if (isSafeModelFile(model)) {
+      const product = findProductByFile(manifest, model)
+      return { product, file: model }
+    }
+    console.warn(`[manifest] ignoring ?model="${model}": use a plain .glb/.gltf filename from /models`)
+  }
+
+  const fallback = getDefaultProduct(manifest)
+  return { product: fallback, file: fallback?.file ?? null }
+}
@@ -0,0 +1,135 @@
+// ============================================================================
+// MOTION CHANNELS - What happens when a spin or tilt starts while another is running
+// ============================================================================
+// The viewer has one channel per tweened axis: `spin` (Y) and `tilt` (X). Each action that
+// moves the model picks a policy for the move it starts:
+//   'replace'  - stop the running move and start from the current angle (tilts default to this)
+//   'additive' - add to the running move: pressing turn-right twice turns 180° in total
+//                (spins and turns default to this; tilts go to an absolute angle, so for them it acts like replace)
+//   'queue'    - wait until the running move has finished, then start
+//   'ignore'   - drop the new move while one is running
+// Set them per action with the viewer's `animation.policies` option, or per call with a `policy` param.
+// Drags stop running moves (`animation.onDrag: 'cancel'`) or hold them and carry on after the drag ('pause').
+//
+// Spin and tilt actions and keyboard steps go through these channels. The move a channel starts plays
+// as the 'spin' or 'tilt' layer of the viewer's timeline engine (see createTimelineEngine in timeline.js),
+// next to the intro and the host page's timeline. The engine decides who turns an axis: whatever starts
+// last takes it over, and a channel whose move loses its axis (to a timeline, the scroll story, a drag
+// or a snap) cancels that move.
+
+export const MOTION_POLICIES = ['replace', 'additive', 'queue', 'ignore']
+export const DRAG_BEHAVIOURS = ['cancel', 'pause']
+
+// Policy per action; actions not listed use 'replace'
+export const defaultMotionPolicies = {
+  spin: 'additive',
+  'turn-left': 'additive',
+  'turn-right': 'additive',
+  tilt: 'replace',
+  'tilt-forward': 'replace',
+  'tilt-back': 'replace',
+  'tilt-neutral': 'replace',
+}
+
+/**
+ * Validate `{ [action]: policy }`, layered over `base`. Invalid entries are skipped and listed in `errors`.
+ * @returns {{ policies: Record<string, string>, errors: string[] }}
+ */
+export function normalizeMotionPolicies(input, base = defaultMotionPolicies) {
+  const policies = { ...base }
+  const errors = []
+  if (input === undefined || input === null) return { policies, errors }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { policies, errors: ['Animation policies must be an object like { "turn-right": "queue" }'] }
+  }
+  Object.entries(input).forEach(([action, policy]) => {
+    if (MOTION_POLICIES.includes(policy)) policies[action] = policy
+    else errors.push(`${action}: policy must be one of ${MOTION_POLICIES.join(', ')}`)
+  })
+  return { policies, errors }
+}
+
+/**
+ * @param {object} track - The move the channel drives (viewer.motionTracks.spin / .tilt: { active, start, duration, from, to, easing })
+ * @param {object} hooks
+ * @param {() => number} hooks.getValue - The axis angle right now (radians)
+ * @param {(move: object) => void} hooks.start - Start a move now, replacing the running one.
+ *   Moves are `{ amount, duration, easing }` (relative, radians) or `{ target, duration, easing }` (absolute).
+ * @param {() => void} hooks.interrupt - Stop the running move where it is (and tell the host page)
+ */
+export function createMotionChannel(track, { getValue, start, interrupt }) {
+  let queue = [] // Moves waiting for the running one to finish ('queue' policy)
+  let paused = null // The rest of a move held by a drag: { move }
+
+  // What's left of the running move, as a move that can be started again from the current angle
+  function remainingMove() {
+    const now = performance.now() / 1000
+    const elapsed = Math.min(Math.max(now - track.start, 0), track.duration)
+    const duration = Math.max(track.duration - elapsed, 0)
+    return track.relative
+      ? { amount: track.to - getValue(), duration, easing: track.easing }
+      : { target: track.to, duration, easing: track.easing }
+  }
+
+  return {
+    /**
+     * Start `move` according to `policy`.
+     * @returns {'started'|'added'|'queued'|'ignored'}
+     */
+    request(move, policy = 'replace') {
+      const busy = track.active || paused !== null
+      if (!busy) {
+        start(move)
+        return 'started'
+      }
+      if (policy === 'ignore') return 'ignored'
+      if (policy === 'queue') {
+        queue.push(move)
+        return 'queued'
+      }
+      if (policy === 'additive' && move.amount !== undefined && track.relative) {
+        // Carry on from here with what was left of the running turn plus the new one
+        const rest = paused ? paused.move : remainingMove()
+        paused = null
+        start({ ...move, amount: rest.amount + move.amount })
+        return 'added'
+      }
+      paused = null
+      start(move)
+      return 'started'
+    },
+
+    // The running move reached its end: start the next queued one, if any
+    finished() {
+      const next = queue.shift()
+      if (next) start(next)
+    },
+
+    // Stop the running move and forget queued ones
+    cancel() {
+      queue = []
+      paused = null
+      if (track.active) interrupt()
+    },
+
+    // Hold the running move (e.g. while the user drags); resume() carries on with what was left
+    pause() {
+      if (!track.active) return
+      paused = { move: remainingMove() }
+      interrupt()
+    },
+
+    // Returns true when a held move was started again
+    resume() {
+      if (!paused) return false
+      const { move } = paused
+      paused = null
+      start(move)
+      return true
+    },
+
+    getState() {
+      return { active: track.active, paused: paused !== null, queued: queue.length }
+    },
+  }
+}
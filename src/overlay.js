@@ -0,0 +1,206 @@
+// ============================================================================
+// LOADING OVERLAY - Progress bar while a model downloads, error card if it fails
+// ============================================================================
+// Listens to the viewer's load events and draws on top of the canvas:
+//   - a progress bar (or an indeterminate bar when the server doesn't send a file size)
+//   - a readable error card with a Retry button
+//
+// Theming: pass `theme` colours, or set the CSS custom properties below on any ancestor
+// (they also pierce the <model-hair-viewer> shadow DOM). Turn it off with `loadingOverlay: false`
+// and build your own UI from the `model-load-*` events instead.
+import { VIEWER_EVENTS } from './protocol.js'
+
+export const defaultOverlayOptions = {
+  theme: {
+    background: null, // --mhv-overlay-background
+    text: null, // --mhv-overlay-text
+    accent: null, // --mhv-overlay-accent (progress bar and Retry button)
+  },
+  messages: {
+    loading: 'Loading model…',
+    error: 'We couldn’t load this model.',
+    retry: 'Retry',
+  },
+}
+
+const overlayStyles = `
+  .mhv-overlay {
+    position: absolute;
+    inset: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    pointer-events: none;
+    font-family: -apple-system, system-ui, 'Segoe UI', sans-serif;
+    font-size: 13px;
+    line-height: 1.5;
+    color: var(--mhv-overlay-text, #f8fafc);
+  }
+  .mhv-overlay[hidden] {
+    display: none;
+  }
+  .mhv-overlay__card {
+    min-width: 200px;
+    max-width: min(320px, calc(100% - 36px));
+    padding: 14px 18px;
+    border-radius: 12px;
+    background: var(--mhv-overlay-background, rgba(15, 23, 42, 0.75));
+    backdrop-filter: blur(12px);
+    box-shadow: 0 12px 32px rgba(15, 23, 42, 0.35);
+    text-align: center;
+    pointer-events: auto;
+  }
+  .mhv-overlay__track {
+    position: relative;
+    height: 6px;
+    margin-top: 10px;
+    border-radius: 999px;
+    overflow: hidden;
+    background: rgba(148, 163, 184, 0.3);
+  }
+  .mhv-overlay__bar {
+    position: absolute;
+    inset: 0 auto 0 0;
+    width: 0;
+    border-radius: inherit;
+    background: var(--mhv-overlay-accent, #3b82f6);
+    transition: width 0.2s ease;
+  }
+  .mhv-overlay--indeterminate .mhv-overlay__bar {
+    width: 35%;
+    animation: mhv-overlay-slide 1.2s ease-in-out infinite;
+  }
+  .mhv-overlay__detail {
+    margin-top: 6px;
+    font-size: 12px;
+    opacity: 0.75;
+    word-break: break-word;
+  }
+  .mhv-overlay__retry {
+    margin-top: 12px;
+    padding: 8px 14px;
+    border-radius: 10px;
+    border: 1px solid var(--mhv-overlay-accent, #3b82f6);
+    background: transparent;
+    color: inherit;
+    font: inherit;
+    cursor: pointer;
+  }
+  @keyframes mhv-overlay-slide {
+    from { transform: translateX(-100%); }
+    to { transform: translateX(290%); }
+  }
+  @media (prefers-reduced-motion: reduce) {
+    .mhv-overlay--indeterminate .mhv-overlay__bar {
+      animation: none;
+      width: 100%;
+      opacity: 0.6;
+    }
+  }
+`
+
+/**
+ * @param {import('./viewer.js').Viewer} viewer
+ * @param {HTMLElement} container - Positioned element the overlay covers (the viewer's container)
+ * @param {object|true} [options] - `theme` and `messages` overrides (see defaultOverlayOptions)
+ */
+export function createLoadingOverlay(viewer, container, options = {}) {
+  const settings = {
+    theme: { ...defaultOverlayOptions.theme, ...options.theme },
+    messages: { ...defaultOverlayOptions.messages, ...options.messages },
+  }
+
+  const root = document.createElement('div')
+  root.className = 'mhv-overlay'
+  root.setAttribute('part', 'overlay') // Style from outside a shadow root with ::part(overlay)
+  root.hidden = true
+  root.innerHTML = `
+    <style>${overlayStyles}</style>
+    <div class="mhv-overlay__card mhv-overlay__loading" role="status" aria-live="polite">
+      <div class="mhv-overlay__title"></div>
+      <div class="mhv-overlay__track"><div class="mhv-overlay__bar"></div></div>
+    </div>
+    <div class="mhv-overlay__card mhv-overlay__error" role="alert" hidden>
+      <div class="mhv-overlay__title"></div>
+      <div class="mhv-overlay__detail"></div>
+      <button type="button" class="mhv-overlay__retry"></button>
+    </div>
+  `
+
+  // Theme colours become CSS variables so stylesheet overrides keep working
+  Object.entries(settings.theme).forEach(([key, value]) => {
+    if (value) root.style.setProperty(`--mhv-overlay-${key}`, value)
+  })
+
+  const loadingCard = root.querySelector('.mhv-overlay__loading')
+  const errorCard = root.querySelector('.mhv-overlay__error')
+  const bar = root.querySelector('.mhv-overlay__bar')
+  const track = root.querySelector('.mhv-overlay__track')
+  const retryButton = root.querySelector('.mhv-overlay__retry')
+  loadingCard.querySelector('.mhv-overlay__title').textContent = settings.messages.loading
+  errorCard.querySelector('.mhv-overlay__title').textContent = settings.messages.error
+  retryButton.textContent = settings.messages.retry
+
+  track.setAttribute('role', 'progressbar')
+  track.setAttribute('aria-valuemin', '0')
+  track.setAttribute('aria-valuemax', '100')
+
+  let failedFile = null
+
+  function showLoading() {
+    root.hidden = false
+    loadingCard.hidden = false
+    errorCard.hidden = true
+    setProgress(null)
+  }
+
+  // `percent` is null when the total size is unknown -> indeterminate bar
+  function setProgress(percent) {
+    const indeterminate = percent === null || !Number.isFinite(percent)
+    root.classList.toggle('mhv-overlay--indeterminate', indeterminate)
+    if (indeterminate) {
+      bar.style.width = ''
+      track.removeAttribute('aria-valuenow')
+    } else {
+      const clamped = Math.min(Math.max(percent, 0), 100)
+      bar.style.width = `${clamped}%`
+      track.setAttribute('aria-valuenow', String(Math.round(clamped)))
+    }
+  }
+
+  function showError(file, message) {
+    failedFile = file
+    root.hidden = false
+    root.classList.remove('mhv-overlay--indeterminate')
+    loadingCard.hidden = true
+    errorCard.hidden = false
+    errorCard.querySelector('.mhv-overlay__detail').textContent = message || ''
+  }
+
+  function hide() {
+    root.hidden = true
+  }
+
+  const listeners = {
+    [VIEWER_EVENTS.loadStart]: () => showLoading(),
+    [VIEWER_EVENTS.loadProgress]: (event) => setProgress(event.detail.percent),
+    [VIEWER_EVENTS.loaded]: () => hide(),
+    [VIEWER_EVENTS.loadError]: (event) => showError(event.detail.file, event.detail.message),
+  }
+  Object.entries(listeners).forEach(([name, listener]) => viewer.addEventListener(name, listener))
+
+  retryButton.addEventListener('click', () => {
+    if (!failedFile) return
+    viewer.loadModel(failedFile).catch(() => {}) // A second failure shows the error card again
+  })
+
+  container.appendChild(root)
+
+  return {
+    element: root,
+    dispose() {
+      Object.entries(listeners).forEach(([name, listener]) => viewer.removeEventListener(name, listener))
+      root.remove()
+    },
+  }
+}
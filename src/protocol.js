@@ -0,0 +1,127 @@
+// ============================================================================
+// IFRAME PROTOCOL - Shared message shapes for the viewer <-> host page bridge
+// ============================================================================
+// Every request from the host looks like:
+//   { protocol: 'modelhair', version: 1, type: 'request', id: 'abc', action: 'spin', params: {} }
+// and the viewer answers every request with:
+//   { protocol: 'modelhair', version: 1, type: 'response', id: 'abc', ok: true, error: null, state: {...} }
+// A spin or tilt that waits for the running one (the 'queue' policy) or is dropped because one is
+// running ('ignore') still succeeds, with `queued: true` or `ignored: true` added to the response.
+// The older `{ type: 'model-action', action }` message is still accepted (fire-and-forget, no reply).
+
+export const PROTOCOL_NAME = 'modelhair'
+export const PROTOCOL_VERSION = 1
+
+// Message types used inside the envelope
+export const MESSAGE_TYPES = {
+  request: 'request',
+  response: 'response',
+  legacyAction: 'model-action',
+  ready: 'iframe-ready', // Viewer -> host, sent once on boot (and in reply to `hello`)
+  hello: 'hello', // Host -> viewer, asks for the ready event again (parent loaded late)
+  event: 'event', // Viewer -> host, unsolicited notifications: { event, detail }
+}
+
+// Event names sent as `{ type: 'event', event, detail }` so the host page can sync its own UI
+export const VIEWER_EVENTS = {
+  loadStart: 'model-load-start', // { file }
+  loadProgress: 'model-load-progress', // { file, loaded, total, percent } (percent is null when the size is unknown)
+  loaded: 'model-loaded', // { file, meshCount, product, name, clips } (product is null outside the manifest; name falls back to glTF metadata or the filename; clips = [{ name, duration }])
+  loadError: 'model-load-error', // { file, message }
+  introComplete: 'intro-complete', // {}
+  spinStart: 'spin-start', // { fromDeg, toDeg, duration }
+  spinEnd: 'spin-end', // { rotationDeg, interrupted }
+  tiltStart: 'tilt-start', // { fromDeg, toDeg, duration }
+  tiltEnd: 'tilt-end', // { rotationDeg, interrupted }
+  snap: 'snap', // { axis, targetDeg, detent } (detent is the name from the snap rules, or null)
+  snapDetent: 'snap-detent', // { axis, detent, angleDeg } once the model has settled on the snap angle
+  dragStart: 'drag-start', // { rotation }
+  dragEnd: 'drag-end', // { rotation }
+  timelineEnd: 'timeline-end', // { time, duration, loop, progress } when a 'once' timeline reaches its end
+  clipEnd: 'clip-end', // { clip } when a clip played with loop 'once' (or limited repetitions) finishes
+}
+
+// Error codes returned in `response.error.code`
+export const ERROR_CODES = {
+  noModel: 'NO_MODEL', // Action arrived before a model was loaded
+  unknownAction: 'UNKNOWN_ACTION', // No handler for this action name
+  unsupportedVersion: 'UNSUPPORTED_VERSION', // Host speaks a protocol version we don't understand
+  badRequest: 'BAD_REQUEST', // Envelope is missing required fields
+  dropped: 'DROPPED', // Action was queued but dropped as stale or superseded
+  loadFailed: 'LOAD_FAILED', // 'load-model' could not fetch or parse the GLB
+}
+
+// Build a success/failure result for an action. `handleModelAction` returns these.
+export function actionResult(ok, code = null, message = '') {
+  return {
+    ok,
+    error: ok ? null : { code, message },
+  }
+}
+
+// True when `data` is a versioned envelope (of any version) from our protocol
+export function isProtocolMessage(data) {
+  return Boolean(data) && typeof data === 'object' && data.protocol === PROTOCOL_NAME
+}
+
+// Wrap a payload in the versioned envelope
+export function createEnvelope(type, fields = {}) {
+  return {
+    protocol: PROTOCOL_NAME,
+    version: PROTOCOL_VERSION,
+    type,
+    ...fields,
+  }
+}
+
+// Flags an action result may carry on top of `ok`, passed through to the reply when set
+export const RESULT_FLAGS = ['queued', 'ignored']
+
+// Build the reply for a request `id`
+export function createResponse(id, result, state) {
+  const flags = Object.fromEntries(RESULT_FLAGS.filter((flag) => result[flag]).map((flag) => [flag, true]))
+  return createEnvelope(MESSAGE_TYPES.response, {
+    id,
+    ok: result.ok,
+    error: result.error,
+    ...flags,
+    state,
+  })
+}
+
+// ============================================================================
+// VALIDATION - Reject malformed payloads before they reach handleModelAction
+// ============================================================================
+const MAX_ACTION_LENGTH = 64
+const MAX_ID_LENGTH = 128
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Returns null when the request is well-formed, otherwise a readable reason
+export function validateRequest(payload) {
+  if (!isPlainObject(payload)) return 'Message must be an object'
+  if (payload.type !== MESSAGE_TYPES.request) return `Unexpected message type "${payload.type}"`
+  if (typeof payload.version !== 'number') return 'Missing numeric "version"'
+
+  const idType = typeof payload.id
+  if (idType !== 'string' && idType !== 'number') return 'Requests need a string or number "id"'
+  if (idType === 'string' && (payload.id.length === 0 || payload.id.length > MAX_ID_LENGTH)) {
+    return `"id" must be 1-${MAX_ID_LENGTH} characters`
+  }
+
+  if (typeof payload.action !== 'string' || payload.action.length === 0) return 'Requests need a string "action"'
+  if (payload.action.length > MAX_ACTION_LENGTH) return `"action" must be at most ${MAX_ACTION_LENGTH} characters`
+  if (payload.params !== undefined && !isPlainObject(payload.params)) return '"params" must be an object'
+
+  return null
+}
+
+// Same checks for the older `{ type: 'model-action', action }` message
+export function validateLegacyAction(payload) {
+  if (!isPlainObject(payload) || payload.type !== MESSAGE_TYPES.legacyAction) return 'Not a model-action message'
+  if (typeof payload.action !== 'string' || payload.action.length === 0) return 'model-action needs a string "action"'
+  if (payload.action.length > MAX_ACTION_LENGTH) return `"action" must be at most ${MAX_ACTION_LENGTH} characters`
+  return null
+}
@@ -0,0 +1,50 @@
+// ============================================================================
+// SCROLL PROGRESS - How far an element has scrolled through the window (0-1)
+// ============================================================================
+// Used for scrollytelling: the host page measures its own scroll and feeds it to the viewer
+// (`scroll-progress` action over postMessage, or `viewer.setScrollProgress()` when mounted directly).
+// Kept free of three.js so the host SDK can import it cheaply.
+
+/**
+ * 0 when the element's top reaches the bottom of the window, 1 when its bottom leaves the top.
+ * Elements shorter than the window progress while they cross it; taller ones while they scroll past.
+ */
+export function getScrollProgress(element) {
+  const rect = element.getBoundingClientRect()
+  const viewportHeight = window.innerHeight || document.documentElement.clientHeight
+  const distance = rect.height + viewportHeight // Scroll distance from "just entering" to "just left"
+  if (distance <= 0) return 0
+  return Math.min(Math.max((viewportHeight - rect.top) / distance, 0), 1)
+}
+
+/**
+ * Call `callback(progress)` whenever the page scrolls or resizes (at most once per frame),
+ * and once right away. Returns a function that stops listening.
+ * @param {HTMLElement} element - The section that drives the story (often the one holding the viewer)
+ * @param {(progress: number) => void} callback
+ */
+export function observeScrollProgress(element, callback) {
+  let frame = null
+  let last = null
+
+  const measure = () => {
+    frame = null
+    const progress = getScrollProgress(element)
+    if (progress === last) return // Nothing moved: don't flood the viewer
+    last = progress
+    callback(progress)
+  }
+  const schedule = () => {
+    if (frame === null) frame = requestAnimationFrame(measure)
+  }
+
+  window.addEventListener('scroll', schedule, { passive: true })
+  window.addEventListener('resize', schedule)
+  measure()
+
+  return () => {
+    window.removeEventListener('scroll', schedule)
+    window.removeEventListener('resize', schedule)
+    if (frame !== null) cancelAnimationFrame(frame)
+  }
+}
@@ -0,0 +1,336 @@
+// ============================================================================
+// HOST SDK - Embed the viewer in another page and drive it with promises
+// ============================================================================
+// Built separately (vite.sdk.config.js) into `<outDir>/sdk/` as ES module and UMD:
+//
+//   import { createViewer } from './sdk/modelhair-sdk.es.js'
+//   const viewer = await createViewer('#product-viewer', { src: 'https://example.github.io/modelhair/' })
+//   viewer.on('loaded', ({ meshCount }) => console.log('meshes:', meshCount))
+//   await viewer.spin()
+//   await viewer.tilt(45)
+//
+// or with a plain <script> tag: `ModelHairViewer.createViewer(...)`.
+import { ERROR_CODES, MESSAGE_TYPES, PROTOCOL_VERSION, RESULT_FLAGS, createEnvelope, isProtocolMessage } from './protocol.js'
+import { observeScrollProgress } from './scroll.js'
+
+// Short names accepted by `viewer.on()` in addition to the full event names in VIEWER_EVENTS
+const EVENT_ALIASES = {
+  ready: MESSAGE_TYPES.ready,
+  'load-start': 'model-load-start',
+  progress: 'model-load-progress',
+  loaded: 'model-loaded',
+  error: 'model-load-error',
+  detent: 'snap-detent',
+}
+
+const DEFAULT_TIMEOUT_MS = 15000
+
+// Errors from rejected viewer promises carry the protocol error code (e.g. 'NO_MODEL')
+export class ViewerError extends Error {
+  constructor(code, message) {
+    super(message)
+    this.name = 'ViewerError'
+    this.code = code
+  }
+}
+
+function resolveContainer(container) {
+  const element = typeof container === 'string' ? document.querySelector(container) : container
+  if (!element) throw new ViewerError(ERROR_CODES.badRequest, `Viewer container not found: ${container}`)
+  return element
+}
+
+// Build the iframe URL, passing the model through `?model=` like the viewer expects
+function buildViewerUrl(src, model) {
+  const url = new URL(src, window.location.href)
+  if (model) url.searchParams.set('model', model)
+  return url
+}
+
+/**
+ * Create the iframe and resolve once the viewer has sent `iframe-ready`.
+ * @param {string|HTMLElement} container - Element (or selector) the iframe is appended to
+ * @param {object} options
+ * @param {string} options.src - URL of the deployed viewer (e.g. the GitHub Pages or Netlify build)
+ * @param {string} [options.model] - GLB file to load first
+ * @param {number} [options.timeout] - Milliseconds to wait for ready and for each action reply
+ * @param {number} [options.loadTimeout] - Milliseconds to wait for a model swap (loadModel / loadProduct);
+ *   0 (the default) waits as long as the download takes, since big GLBs can take far longer than `timeout`
+ * @param {object} [options.iframeAttributes] - Extra attributes for the iframe (title, class, allow…)
+ */
+export function createViewer(container, options = {}) {
+  const viewer = new HostedViewer(resolveContainer(container), options)
+  return viewer.ready.then(() => viewer)
+}
+
+export class HostedViewer {
+  constructor(container, { src, model, timeout = DEFAULT_TIMEOUT_MS, loadTimeout = 0, iframeAttributes = {} } = {}) {
+    if (!src) throw new ViewerError(ERROR_CODES.badRequest, 'createViewer needs the viewer "src" URL')
+
+    const url = buildViewerUrl(src, model)
+    this.origin = url.origin
+    this.timeout = timeout
+    this.loadTimeout = loadTimeout
+    this.capabilities = null
+    this._nextId = 1
+    this._pending = new Map() // id -> { resolve, reject, timer }
+    this._listeners = new Map() // event name -> Set of callbacks
+    this._unbindScroll = null
+
+    this.iframe = document.createElement('iframe')
+    this.iframe.src = url.href
+    this.iframe.title = '3D model viewer'
+    this.iframe.style.border = '0'
+    this.iframe.style.width = '100%'
+    this.iframe.style.height = '100%'
+    Object.entries(iframeAttributes).forEach(([name, value]) => this.iframe.setAttribute(name, value))
+
+    this._onMessage = this._onMessage.bind(this)
+    window.addEventListener('message', this._onMessage)
+
+    this.ready = new Promise((resolve, reject) => {
+      this._resolveReady = resolve
+      this._readyTimer = setTimeout(() => {
+        reject(new ViewerError('TIMEOUT', `Viewer at ${this.origin} did not become ready within ${timeout}ms`))
+      }, timeout)
+    })
+
+    // If the viewer booted before our listener saw it, ask for the ready event again
+    this.iframe.addEventListener('load', () => {
+      if (!this.capabilities) this._post(createEnvelope(MESSAGE_TYPES.hello))
+    })
+
+    container.appendChild(this.iframe)
+  }
+
+  // ---- Actions (each resolves with the model state, or rejects with a ViewerError) ----
+  // `easing` (optional): a name like 'easeOutBack' or { type: 'spring', stiffness, damping }.
+  // What happens when a spin/tilt is already running follows the viewer's animation policies;
+  // override one call with action('turn-right', { policy: 'queue' }) (replace, additive, queue or ignore).
+  // A move that is waiting its turn resolves with `queued: true` on the state, a dropped one with `ignored: true`.
+  spin(degrees = 360, duration, easing) {
+    return this.action('spin', { degrees, duration, easing })
+  }
+
+  turnLeft() {
+    return this.action('turn-left')
+  }
+
+  turnRight() {
+    return this.action('turn-right')
+  }
+
+  tilt(degrees, duration, easing) {
+    return this.action('tilt', { degrees, duration, easing })
+  }
+
+  tiltForward() {
+    return this.action('tilt-forward')
+  }
+
+  tiltBack() {
+    return this.action('tilt-back')
+  }
+
+  tiltNeutral() {
+    return this.action('tilt-neutral')
+  }
+
+  resetView() {
+    return this.action('reset-view')
+  }
+
+  // ---- Timelines: keyframed choreography (JSON tracks, or { preset: 'spin' | 'tilt' | 'turntable' | 'intro' }) ----
+  playTimeline(timeline) {
+    return this.action('play-timeline', { timeline })
+  }
+
+  pauseTimeline() {
+    return this.action('pause-timeline')
+  }
+
+  resumeTimeline() {
+    return this.action('resume-timeline')
+  }
+
+  // Scrub to `time` seconds, or pass { progress: 0-1 }
+  seekTimeline(time) {
+    return this.action('seek-timeline', typeof time === 'object' ? time : { time })
+  }
+
+  loopTimeline(loop) {
+    return this.action('loop-timeline', { loop })
+  }
+
+  stopTimeline() {
+    return this.action('stop-timeline')
+  }
+
+  // Override the snap rules (see the viewer's snap.js). Rejects with BAD_REQUEST listing what's invalid.
+  setSnapRules(rules) {
+    return this.action('set-snap-rules', { rules })
+  }
+
+  // ---- Embedded animation clips (names arrive in the 'loaded' event as `clips`) ----
+  // options: { loop: 'repeat' | 'once' | 'pingpong', repetitions, fade, timeScale }
+  playClip(clip, options = {}) {
+    return this.action('play-clip', { clip, ...options })
+  }
+
+  crossfadeClip(clip, duration) {
+    return this.action('crossfade-clip', { clip, duration })
+  }
+
+  pauseClip() {
+    return this.action('pause-clip')
+  }
+
+  resumeClip() {
+    return this.action('resume-clip')
+  }
+
+  seekClip(time) {
+    return this.action('seek-clip', { time })
+  }
+
+  loopClip(loop, repetitions) {
+    return this.action('loop-clip', { loop, repetitions })
+  }
+
+  stopClip() {
+    return this.action('stop-clip')
+  }
+
+  // ---- Scroll-driven mode: the model follows a story of keyframes as the page scrolls ----
+  // Progress 0-1 (0 = story start). The first update switches the viewer into scroll mode.
+  setScrollProgress(progress) {
+    return this.action('scroll-progress', { progress })
+  }
+
+  // A scroll story (timeline JSON whose key times are progress 0-1), null for the default, or false to leave scroll mode
+  setScrollStory(story, smoothing) {
+    return this.action('set-scroll-story', { story, smoothing })
+  }
+
+  // Send scroll progress automatically while `element` (default: the viewer's container) crosses the window.
+  // Returns a function that stops it; destroy() stops it too.
+  bindScroll(element = this.iframe.parentElement) {
+    this.unbindScroll()
+    const target = resolveContainer(element)
+    this._unbindScroll = observeScrollProgress(target, (progress) => {
+      this.setScrollProgress(progress).catch(() => {}) // A dropped update is replaced by the next one
+    })
+    return () => this.unbindScroll()
+  }
+
+  unbindScroll() {
+    this._unbindScroll?.()
+    this._unbindScroll = null
+  }
+
+  // Swap the model without reloading the iframe (the viewer crossfades). Resolves once it's on screen.
+  loadModel(file) {
+    return this.action('load-model', { file })
+  }
+
+  // Swap to a product listed in the viewer's models/manifest.json
+  loadProduct(id) {
+    return this.action('load-model', { product: id })
+  }
+
+  // Send any action the viewer supports (see `viewer.capabilities.actions`).
+  // 'load-model' replies once the model is on screen, so it waits `loadTimeout` instead of `timeout`.
+  action(name, params = {}) {
+    const limit = name === 'load-model' ? this.loadTimeout : this.timeout
+    return this.ready.then(() => new Promise((resolve, reject) => {
+      const id = `${Date.now().toString(36)}-${this._nextId++}`
+      const timer = limit > 0
+        ? setTimeout(() => {
+          this._pending.delete(id)
+          reject(new ViewerError('TIMEOUT', `No reply to "${name}" within ${limit}ms`))
+        }, limit)
+        : null // No limit: the reply (or destroy()) settles it
+      this._pending.set(id, { resolve, reject, timer })
+      this._post(createEnvelope(MESSAGE_TYPES.request, { id, action: name, params: stripUndefined(params) }))
+    }))
+  }
+
+  // ---- Events ----
+  // Subscribe to a viewer event ('loaded', 'progress', 'spin-start'…). Returns an unsubscribe function.
+  on(event, callback) {
+    const name = EVENT_ALIASES[event] || event
+    if (!this._listeners.has(name)) this._listeners.set(name, new Set())
+    this._listeners.get(name).add(callback)
+    return () => this.off(event, callback)
+  }
+
+  off(event, callback) {
+    const name = EVENT_ALIASES[event] || event
+    this._listeners.get(name)?.delete(callback)
+  }
+
+  // Remove the iframe and reject anything still waiting
+  destroy() {
+    this.unbindScroll()
+    window.removeEventListener('message', this._onMessage)
+    clearTimeout(this._readyTimer)
+    this._pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer)
+      reject(new ViewerError('DESTROYED', 'Viewer was destroyed'))
+    })
+    this._pending.clear()
+    this._listeners.clear()
+    this.iframe.remove()
+  }
+
+  // ---- Internals ----
+  _post(message) {
+    this.iframe.contentWindow?.postMessage(message, this.origin)
+  }
+
+  _emit(name, detail) {
+    this._listeners.get(name)?.forEach((callback) => callback(detail))
+  }
+
+  _onMessage(event) {
+    // Only listen to our own iframe, on the origin we loaded it from
+    if (event.source !== this.iframe.contentWindow || event.origin !== this.origin) return
+    const payload = event.data
+    if (!payload || typeof payload !== 'object') return
+
+    if (payload.type === MESSAGE_TYPES.ready) {
+      this.capabilities = payload.capabilities || null
+      clearTimeout(this._readyTimer)
+      this._resolveReady()
+      this._emit(MESSAGE_TYPES.ready, this.capabilities)
+      return
+    }
+
+    if (!isProtocolMessage(payload)) return
+
+    if (payload.type === MESSAGE_TYPES.event) {
+      this._emit(payload.event, payload.detail)
+      return
+    }
+
+    if (payload.type === MESSAGE_TYPES.response) {
+      const pending = this._pending.get(payload.id)
+      if (!pending) return
+      this._pending.delete(payload.id)
+      clearTimeout(pending.timer)
+      if (!payload.ok) {
+        pending.reject(new ViewerError(payload.error?.code, payload.error?.message))
+        return
+      }
+      // queued / ignored ride along on the state the promise resolves with
+      const flags = RESULT_FLAGS.filter((flag) => payload[flag])
+      pending.resolve(flags.length > 0 ? { ...payload.state, ...Object.fromEntries(flags.map((flag) => [flag, true])) } : payload.state)
+    }
+  }
+}
+
+function stripUndefined(params) {
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined))
+}
+
+export { PROTOCOL_VERSION }
@@ -0,0 +1,279 @@
+// ============================================================================
+// SNAP RULES - Which angles the model eases into after a drag, per axis
+// ============================================================================
+// Rules come from the viewer defaults, a product in models/manifest.json, the `?snap=` URL
+// parameter (URL-encoded JSON) or the `set-snap-rules` action. They are validated here
+// before the viewer uses them. Several axes can snap at once:
+//   {
+//     "enabled": true,
+//     "speed": 0.15,                                  // 0-1 easing per frame (higher = faster)
+//     "easing": "spring",                             // Optional: a curve or spring instead of `speed` (see below)
+//     "duration": 0.6,                                // Seconds for curve easings (springs take what they need)
+//     "axes": {
+//       "x": {
+//         "clampDeg": { "min": -45, "max": 110 },     // Drag/tilt limits for this axis
+//         "thresholds": [
+//           { "when": "greater", "thresholdDeg": 25, "snapDeg": 90 },
+//           { "when": "less", "thresholdDeg": 5, "snapDeg": 0, "easing": "easeOutBack" }
+//         ]
+//       },
+//       "y": {
+//         "detents": { "front": 0, "side": 90, "back": 180 }, // Named angles to settle on
+//         "stepDeg": 45,                              // …and/or a detent every 45°
+//         "rangeDeg": 30,                             // Only snap when this close to a detent
+//         "wrap": true,                               // 350° snaps to 360°, not back through 0°
+//         "easing": { "type": "spring", "stiffness": 120, "damping": 14 }
+//       }
+//     }
+//   }
+// Thresholds are checked first; when none matches, the nearest detent wins.
+// `wrap` defaults to true on the y axis (yaw) and false elsewhere.
+// `easing` (names and springs from easing.js) can be set for all axes, per axis or per threshold rule;
+// the most specific one wins. Without one, snaps ease in by `speed` each frame. A spring snap keeps
+// the speed of the drag, flick or spin it interrupts, so the model swings into place.
+// The older single-axis shape `{ axis, clampDeg, thresholds }` is still accepted.
+import { validateEasing } from './easing.js'
+
+export const SNAP_AXES = ['x', 'y', 'z']
+const RULE_KINDS = ['greater', 'less', 'close']
+
+// Viewer defaults: pitch snaps down past 25° and back upright under 5°
+export const defaultSnapRules = {
+  enabled: true, // Turn snapping on or off
+  speed: 0.15, // 0.0-1.0 smoothing factor (higher = faster snap)
+  easing: null, // null = ease in by `speed` each frame; or an easing name / spring (see easing.js)
+  duration: 0.6, // Seconds a curve easing takes to reach the snap angle
+  axes: {
+    x: {
+      clampDeg: { min: -45, max: 110 }, // Limit how far the model can tilt (degrees)
+      thresholds: [
+        {
+          when: 'greater', // When rotation is greater than threshold
+          thresholdDeg: 25, // If tilted forward more than 25°
+          snapDeg: 90, // Snap to 90° (looking straight down)
+        },
+        {
+          when: 'less', // When rotation is less than threshold
+          thresholdDeg: 5, // If tilt returns under 5°
+          snapDeg: 0, // Snap back upright
+        },
+      ],
+    },
+  },
+}
+
+export function cloneSnapRules(rules) {
+  return JSON.parse(JSON.stringify(rules))
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+// Convert the legacy `{ axis, clampDeg, thresholds }` shape to `{ axes: { [axis]: … } }`
+function upgradeLegacyShape(input) {
+  if (!isObject(input) || input.axes !== undefined || (input.axis === undefined && input.thresholds === undefined)) {
+    return input
+  }
+  const { axis = 'x', clampDeg, thresholds, ...rest } = input
+  return { ...rest, axes: { [axis]: { clampDeg, thresholds } } }
+}
+
+function validateAxis(axisName, axisRules, errors) {
+  const path = `axes.${axisName}`
+  if (!isObject(axisRules)) {
+    errors.push(`${path} must be an object`)
+    return null
+  }
+
+  const clean = { thresholds: [], detents: {}, stepDeg: null, rangeDeg: null, wrap: axisName === 'y', easing: null }
+
+  if (axisRules.clampDeg !== undefined && axisRules.clampDeg !== null) {
+    const { min, max } = axisRules.clampDeg || {}
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+      errors.push(`${path}.clampDeg needs numeric "min" < "max"`)
+    } else {
+      clean.clampDeg = { min, max }
+    }
+  }
+
+  if (axisRules.thresholds !== undefined) {
+    if (!Array.isArray(axisRules.thresholds)) {
+      errors.push(`${path}.thresholds must be an array`)
+    } else {
+      axisRules.thresholds.forEach((rule, index) => {
+        const rulePath = `${path}.thresholds[${index}]`
+        if (!isObject(rule)) return errors.push(`${rulePath} must be an object`)
+        const when = rule.when ?? 'close'
+        if (!RULE_KINDS.includes(when)) return errors.push(`${rulePath}.when must be one of ${RULE_KINDS.join(', ')}`)
+        if (!Number.isFinite(rule.thresholdDeg)) return errors.push(`${rulePath}.thresholdDeg must be a number`)
+        if (!Number.isFinite(rule.snapDeg)) return errors.push(`${rulePath}.snapDeg must be a number`)
+        const easingError = rule.easing === undefined ? null : validateEasing(rule.easing)
+        if (easingError) return errors.push(`${rulePath}.easing: ${easingError}`)
+        clean.thresholds.push({ when, thresholdDeg: rule.thresholdDeg, snapDeg: rule.snapDeg, easing: rule.easing ?? null })
+      })
+    }
+  }
+
+  if (axisRules.detents !== undefined) {
+    // An array of angles is accepted too; its detents are named after their angle ("90°")
+    const entries = Array.isArray(axisRules.detents)
+      ? axisRules.detents.map((angle) => [`${angle}°`, angle])
+      : isObject(axisRules.detents) ? Object.entries(axisRules.detents) : null
+    if (!entries) {
+      errors.push(`${path}.detents must be an object like { "front": 0 } or an array of angles`)
+    } else {
+      entries.forEach(([name, angle]) => {
+        if (Number.isFinite(angle)) clean.detents[name] = angle
+        else errors.push(`${path}.detents.${name} must be a number of degrees`)
+      })
+    }
+  }
+
+  const positive = (key) => {
+    if (axisRules[key] === undefined || axisRules[key] === null) return
+    if (Number.isFinite(axisRules[key]) && axisRules[key] > 0) clean[key] = axisRules[key]
+    else errors.push(`${path}.${key} must be a positive number`)
+  }
+  positive('stepDeg')
+  positive('rangeDeg')
+
+  if (axisRules.wrap !== undefined) {
+    if (typeof axisRules.wrap === 'boolean') clean.wrap = axisRules.wrap
+    else errors.push(`${path}.wrap must be true or false`)
+  }
+
+  if (axisRules.easing !== undefined && axisRules.easing !== null) {
+    const easingError = validateEasing(axisRules.easing)
+    if (easingError) errors.push(`${path}.easing: ${easingError}`)
+    else clean.easing = axisRules.easing
+  }
+
+  return clean
+}
+
+/**
+ * Validate snap rules. Unknown or broken parts are reported in `errors`; everything valid is kept.
+ * Missing fields fall back to `base` (the defaults unless given).
+ * @returns {{ rules: object, errors: string[] }}
+ */
+export function normalizeSnapRules(input, base = defaultSnapRules) {
+  const errors = []
+  const rules = cloneSnapRules(base)
+  const source = upgradeLegacyShape(input)
+
+  if (!isObject(source)) {
+    return { rules, errors: ['Snap rules must be an object'] }
+  }
+
+  if (source.enabled !== undefined) {
+    if (typeof source.enabled === 'boolean') rules.enabled = source.enabled
+    else errors.push('"enabled" must be true or false')
+  }
+
+  if (source.speed !== undefined) {
+    if (Number.isFinite(source.speed) && source.speed > 0 && source.speed <= 1) rules.speed = source.speed
+    else errors.push('"speed" must be a number between 0 (exclusive) and 1')
+  }
+
+  if (source.easing !== undefined) {
+    const easingError = source.easing === null ? null : validateEasing(source.easing)
+    if (easingError) errors.push(`"easing": ${easingError}`)
+    else rules.easing = source.easing
+  }
+
+  if (source.duration !== undefined) {
+    if (Number.isFinite(source.duration) && source.duration > 0) rules.duration = source.duration
+    else errors.push('"duration" must be a positive number of seconds')
+  }
+
+  if (source.axes !== undefined) {
+    if (!isObject(source.axes)) {
+      errors.push('"axes" must be an object like { "x": {…}, "y": {…} }')
+    } else {
+      // Axes listed in the input replace the base configuration entirely
+      rules.axes = {}
+      Object.entries(source.axes).forEach(([axisName, axisRules]) => {
+        if (!SNAP_AXES.includes(axisName)) return errors.push(`Unknown axis "${axisName}" (use x, y or z)`)
+        const clean = validateAxis(axisName, axisRules, errors)
+        if (clean) rules.axes[axisName] = clean
+      })
+    }
+  }
+
+  return { rules, errors }
+}
+
+// Read `?snap=` (URL-encoded JSON). Returns null when absent or unparseable.
+export function parseSnapParam(value) {
+  if (!value) return null
+  try {
+    return JSON.parse(value)
+  } catch (err) {
+    console.warn('[snap] ignoring ?snap=: not valid JSON', err)
+    return null
+  }
+}
+
+// Degrees in [0, 360)
+export function normalizeDeg(deg) {
+  return ((deg % 360) + 360) % 360
+}
+
+// Signed shortest turn from `fromDeg` to `toDeg` around the circle, in (-180, 180]
+export function shortestDeltaDeg(fromDeg, toDeg) {
+  const delta = normalizeDeg(toDeg - fromDeg)
+  return delta > 180 ? delta - 360 : delta
+}
+
+// Turn from the current angle to a target, the short way round on wrapping axes
+function deltaTo(axisRules, valueDeg, targetDeg) {
+  return axisRules.wrap ? shortestDeltaDeg(valueDeg, targetDeg) : targetDeg - valueDeg
+}
+
+// Name of the detent at `angleDeg`, or null
+function detentName(axisRules, angleDeg) {
+  const same = axisRules.wrap
+    ? (detentDeg) => Math.abs(shortestDeltaDeg(angleDeg, detentDeg)) < 1e-6
+    : (detentDeg) => Math.abs(angleDeg - detentDeg) < 1e-6
+  const match = Object.entries(axisRules.detents || {}).find(([, detentDeg]) => same(detentDeg))
+  return match ? match[0] : null
+}
+
+function findNearestDetent(axisRules, valueDeg) {
+  const candidates = Object.values(axisRules.detents || {}).map((detentDeg) => valueDeg + deltaTo(axisRules, valueDeg, detentDeg))
+  if (axisRules.stepDeg) candidates.push(Math.round(valueDeg / axisRules.stepDeg) * axisRules.stepDeg)
+
+  let best = null
+  candidates.forEach((targetDeg) => {
+    if (best === null || Math.abs(targetDeg - valueDeg) < Math.abs(best - valueDeg)) best = targetDeg
+  })
+  if (best === null) return null
+  if (axisRules.rangeDeg && Math.abs(best - valueDeg) > axisRules.rangeDeg) return null
+  return best
+}
+
+/**
+ * Pick where one axis should settle. Threshold rules are checked in order (first match wins),
+ * then the nearest detent. On wrapping axes the target is measured from `valueDeg` the short
+ * way round, so 350° -> 360° rather than 0°.
+ * `easing` is the matching rule's easing, else the axis's (null = use the rules' top-level one).
+ * @returns {{ targetDeg: number, detent: string|null, easing: string|object|null }|null} null when nothing matches
+ */
+export function findSnapTarget(axisRules, valueDeg) {
+  for (const rule of axisRules.thresholds) {
+    let targetDeg = null
+    if (rule.when === 'greater' && valueDeg >= rule.thresholdDeg) targetDeg = rule.snapDeg
+    if (rule.when === 'less' && valueDeg <= rule.thresholdDeg) targetDeg = rule.snapDeg
+    if (rule.when === 'close') {
+      const delta = deltaTo(axisRules, valueDeg, rule.snapDeg)
+      if (Math.abs(delta) <= rule.thresholdDeg) targetDeg = valueDeg + delta
+    }
+    if (targetDeg !== null) {
+      return { targetDeg, detent: detentName(axisRules, targetDeg), easing: rule.easing ?? axisRules.easing ?? null }
+    }
+  }
+
+  const targetDeg = findNearestDetent(axisRules, valueDeg)
+  return targetDeg === null ? null : { targetDeg, detent: detentName(axisRules, targetDeg), easing: axisRules.easing ?? null }
+}
@@ -0,0 +1,405 @@
+// ============================================================================
+// TIMELINE - Keyframed choreography for the model, camera and lights
+// ============================================================================
+// A timeline is a set of tracks; each track animates one property through keyframes.
+// Define one in JSON and send it with the `play-timeline` action (or `viewer.playTimeline()`):
+//
+//   {
+//     "loop": "once",                    // once | repeat | pingpong
+//     "tracks": [
+//       { "property": "rotation.y", "relative": true, "keys": [
+//         { "time": 0, "value": 0 },
+//         { "time": 3, "value": 360, "easing": "easeInOutCubic" }
+//       ] },
+//       { "property": "camera.zoom", "keys": [{ "time": 0, "value": 1 }, { "time": 3, "value": 1.6 }] },
+//       { "property": "light.sun.intensity", "keys": [{ "time": 1, "value": 0 }, { "time": 2, "value": 2.5 }] }
+//     ]
+//   }
+//
+// Properties:
+//   rotation.x / rotation.y / rotation.z   Model rotation in degrees
+//   camera.zoom                            1 = framed view, 2 = twice as close (kept within the zoom limits)
+//   camera.roll                            View roll in degrees
+//   light.<name>.intensity                 hemi, sun, area (all fill lights) or area-1…area-3
+//   opacity                                Model material opacity, 0-1
+// A key's "easing" shapes the move from the previous key into it (a name or spring object, see easing.js).
+// "relative": true adds the values to wherever the property was when the timeline started.
+// Timelines can be paused, scrubbed (`seek-timeline`) and looped; `spin`, `tilt`, `turntable`
+// and `intro` are built-in presets (see TIMELINE_PRESETS).
+//
+// The viewer runs every tweened move on this one engine (createTimelineEngine): the intro, spin
+// and tilt actions (built from the presets) and the host page's timeline each play as a layer,
+// and each property is driven by one layer at a time.
+import { getEasing, validateEasing } from './easing.js'
+import { normalizeIntro, scheduleIntro } from './intro.js'
+
+export const TIMELINE_LOOPS = ['once', 'repeat', 'pingpong']
+const PROPERTY_PATTERN = /^(?:rotation\.[xyz]|camera\.zoom|camera\.roll|light\.[\w-]+\.intensity|opacity)$/
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+function normalizeTrack(track, index, errors) {
+  const label = `tracks[${index}]`
+  if (!isObject(track) || typeof track.property !== 'string' || !PROPERTY_PATTERN.test(track.property)) {
+    errors.push(`${label}: unknown "property" (use rotation.x/y/z, camera.zoom, camera.roll, light.<name>.intensity or opacity)`)
+    return null
+  }
+  if (!Array.isArray(track.keys) || track.keys.length === 0) {
+    errors.push(`${label}: "keys" must be a non-empty list`)
+    return null
+  }
+
+  const keys = []
+  track.keys.forEach((key, keyIndex) => {
+    const keyLabel = `${label}.keys[${keyIndex}]`
+    if (!isObject(key) || !Number.isFinite(key.time) || key.time < 0 || !Number.isFinite(key.value)) {
+      errors.push(`${keyLabel} needs a "time" (seconds, 0 or more) and a numeric "value"`)
+      return
+    }
+    const easing = key.easing ?? 'linear'
+    const easingError = validateEasing(easing)
+    if (easingError) {
+      errors.push(`${keyLabel}: ${easingError}`)
+      return
+    }
+    keys.push({ time: key.time, value: key.value, easing })
+  })
+  if (keys.length === 0) return null
+
+  keys.sort((a, b) => a.time - b.time)
+  return { property: track.property, relative: track.relative === true, keys }
+}
+
+/**
+ * Validate a timeline. Broken tracks and keys are skipped and listed in `errors`.
+ * @returns {{ timeline: { loop: string, duration: number, tracks: object[] }, errors: string[] }}
+ */
+export function normalizeTimeline(input) {
+  const errors = []
+  if (!isObject(input)) {
+    return { timeline: { loop: 'once', duration: 0, tracks: [] }, errors: ['Timeline must be an object with "tracks"'] }
+  }
+
+  const loop = input.loop ?? 'once'
+  if (!TIMELINE_LOOPS.includes(loop)) errors.push(`"loop" must be one of ${TIMELINE_LOOPS.join(', ')}`)
+
+  const tracks = Array.isArray(input.tracks)
+    ? input.tracks.map((track, index) => normalizeTrack(track, index, errors)).filter(Boolean)
+    : []
+  if (!Array.isArray(input.tracks)) errors.push('"tracks" must be a list')
+
+  const lastKeyTime = Math.max(0, ...tracks.map((track) => track.keys[track.keys.length - 1].time))
+  let duration = lastKeyTime
+  if (input.duration !== undefined) {
+    if (Number.isFinite(input.duration) && input.duration >= 0) duration = input.duration
+    else errors.push('"duration" must be a number of seconds')
+  }
+
+  return { timeline: { loop: TIMELINE_LOOPS.includes(loop) ? loop : 'once', duration, tracks }, errors }
+}
+
+// Value of a track at `time`: holds the first/last key outside the keyed range.
+// A key counts as reached at its own time, so two keys at the same time make a jump (0-second moves).
+export function sampleTrack(track, time) {
+  const { keys } = track
+  const next = keys.findIndex((key) => key.time > time) // First key still ahead
+  if (next === -1) return keys[keys.length - 1].value
+  if (next === 0) return keys[0].value
+  const from = keys[next - 1]
+  const to = keys[next]
+  const t = (time - from.time) / (to.time - from.time)
+  return from.value + (to.value - from.value) * getEasing(to.easing)(t)
+}
+
+// ---- Presets: the viewer's built-in moves expressed as timelines ----
+// Each builder gets the preset's params and `context.rotationDeg` (where the model is now).
+export const TIMELINE_PRESETS = {
+  // Turn by `degrees` around Y from wherever the model is
+  spin: ({ degrees = 360, duration = 2, easing = 'easeInOutCubic' }) => ({
+    tracks: [{ property: 'rotation.y', relative: true, keys: [{ time: 0, value: 0 }, { time: duration, value: degrees, easing }] }],
+  }),
+  // Tilt (X axis) from the current angle to `degrees`
+  tilt: ({ degrees = 0, duration = 1, easing = 'easeInOutCubic' }, { rotationDeg }) => ({
+    tracks: [{ property: 'rotation.x', keys: [{ time: 0, value: rotationDeg.x }, { time: duration, value: degrees, easing }] }],
+  }),
+  // Endless slow spin for showroom screens
+  turntable: ({ secondsPerTurn = 12 }) => ({
+    loop: 'repeat',
+    tracks: [{ property: 'rotation.y', relative: true, keys: [{ time: 0, value: 0 }, { time: secondsPerTurn, value: 360 }] }],
+  }),
+  // An intro (preset name or steps, see intro.js) as one timeline, e.g. to scrub through it
+  intro: ({ intro }, { rotationDeg }) => introToTimeline(normalizeIntro(intro).steps, rotationDeg),
+}
+
+// Lay intro steps out as keyframes (spin steps add up; tilt and zoom start from the previous value)
+function introToTimeline(steps, fromDeg) {
+  const { timeline, duration } = scheduleIntro(steps)
+  const tracks = { 'rotation.x': [], 'rotation.y': [], 'camera.zoom': [], opacity: [] }
+  const last = { 'rotation.x': fromDeg.x, 'rotation.y': fromDeg.y, 'camera.zoom': 1 }
+  const addMove = (property, at, duration, from, to, easing) => {
+    tracks[property].push({ time: at, value: from }, { time: at + duration, value: to, easing })
+    last[property] = to
+  }
+
+  timeline.forEach((step) => {
+    if (step.type === 'fade') addMove('opacity', step.at, step.duration, 0, 1, step.easing)
+    if (step.type === 'spin') addMove('rotation.y', step.at, step.duration, last['rotation.y'], last['rotation.y'] + step.degrees, step.easing)
+    if (step.type === 'tilt') addMove('rotation.x', step.at, step.duration, last['rotation.x'], step.toDeg, step.easing)
+    if (step.type === 'zoom') addMove('camera.zoom', step.at, step.duration, step.from, step.to, step.easing)
+  })
+
+  return {
+    duration, // Includes trailing "wait" steps
+    tracks: Object.entries(tracks)
+      .filter(([, keys]) => keys.length > 0)
+      .map(([property, keys]) => ({ property, keys })),
+  }
+}
+
+// ---- Scroll stories: timelines whose "time" is scroll progress (0 = top, 1 = bottom) ----
+// Absolute angles, so scrolling back up retraces the same poses. Rotation is clamped by the snap rules.
+export const defaultScrollStory = {
+  tracks: [
+    { property: 'rotation.y', keys: [{ time: 0, value: 0 }, { time: 1, value: 360 }] },
+    {
+      property: 'rotation.x',
+      keys: [
+        { time: 0, value: 0 },
+        { time: 0.5, value: 90, easing: 'easeInOutCubic' }, // Top view halfway down the page
+        { time: 1, value: 0, easing: 'easeInOutCubic' },
+      ],
+    },
+  ],
+}
+
+// Validate a scroll story: a timeline with keys between 0 and 1 (relative tracks and loops make no sense here)
+export function normalizeScrollStory(input) {
+  const { timeline, errors } = normalizeTimeline(input)
+  timeline.tracks.forEach((track, index) => {
+    if (track.keys.some((key) => key.time > 1)) errors.push(`tracks[${index}]: scroll story key times are progress, from 0 to 1`)
+    if (track.relative) errors.push(`tracks[${index}]: "relative" isn't supported in scroll stories`)
+  })
+  return { story: { tracks: timeline.tracks }, errors }
+}
+
+/**
+ * Build a timeline from `{ preset, loop, ...params }` or validate timeline JSON as-is.
+ * @param {object} input
+ * @param {{ rotationDeg: { x: number, y: number, z: number } }} context - The model's current rotation
+ */
+export function resolveTimeline(input, context) {
+  if (!isObject(input) || typeof input.preset !== 'string') return normalizeTimeline(input)
+
+  const { preset, loop, ...params } = input
+  const build = Object.hasOwn(TIMELINE_PRESETS, preset) ? TIMELINE_PRESETS[preset] : null // Not "constructor" & co.
+  if (!build) {
+    const { timeline } = normalizeTimeline({ tracks: [] })
+    return { timeline, errors: [`Unknown timeline preset "${preset}" (use ${Object.keys(TIMELINE_PRESETS).join(', ')})`] }
+  }
+  const built = build(params, context)
+  return normalizeTimeline(loop ? { ...built, loop } : built)
+}
+
+/**
+ * Play a timeline against a set of targets.
+ * @param {object} timeline - From normalizeTimeline()
+ * @param {Record<string, { get: () => number, set: (value: number) => void, restore?: () => void }>} targets - One per
+ *   track property (the player keeps them on `player.targets`; `restore` undoes side effects of `set` once it's over)
+ * @param {object} [callbacks]
+ * @param {() => void} [callbacks.onEnd] - A `once` timeline reached its end
+ */
+export function createTimelinePlayer(timeline, targets, { onEnd } = {}) {
+  const tracks = timeline.tracks.filter((track) => targets[track.property])
+  const properties = Array.from(new Set(tracks.map((track) => track.property)))
+  const muted = new Set() // Properties another layer has taken over (see createTimelineEngine)
+  let base = {} // Start values for relative tracks
+  let time = 0
+  let direction = 1 // -1 while a pingpong loop runs backwards
+  let playing = false
+  let ended = false // A 'once' timeline reached its end; play() starts it over
+
+  function captureBase() {
+    base = Object.fromEntries(tracks.map((track) => [track.property, targets[track.property].get()]))
+  }
+
+  function apply() {
+    tracks.forEach((track) => {
+      if (muted.has(track.property)) return
+      const value = sampleTrack(track, time)
+      targets[track.property].set(track.relative ? base[track.property] + value : value)
+    })
+  }
+
+  // Drive muted properties again; relative tracks carry on from wherever the property is now
+  function unmute() {
+    tracks.forEach((track) => {
+      if (muted.has(track.property) && track.relative) base[track.property] = targets[track.property].get() - sampleTrack(track, time)
+    })
+    muted.clear()
+  }
+
+  return {
+    timeline,
+    targets,
+    properties, // Every property the timeline animates
+
+    // True while this player writes `property` (it has a track for it that hasn't been muted)
+    drives(property) {
+      return properties.includes(property) && !muted.has(property)
+    },
+
+    // Stop writing `list` (something else took them over); returns how many properties it still drives
+    mute(list) {
+      list.forEach((property) => {
+        if (properties.includes(property)) muted.add(property)
+      })
+      return properties.length - muted.size
+    },
+
+    // Start, or carry on after pause(). After a 'once' timeline has ended this plays it again
+    // from the start instead of resuming at the end (which would only report the end again).
+    play() {
+      if (ended) {
+        ended = false
+        time = 0
+        direction = 1
+        captureBase()
+      } else if (!playing && time === 0) {
+        captureBase()
+      }
+      unmute()
+      playing = true
+      apply()
+    },
+
+    pause() {
+      playing = false
+    },
+
+    // How fast `property` is changing right now (units per second); 0 unless it's playing and driving it
+    getVelocity(property) {
+      const track = tracks.findLast((candidate) => candidate.property === property) // The last track wins in apply()
+      if (!playing || !track || muted.has(property)) return 0
+      const from = Math.max(time - 0.01, 0)
+      const to = Math.min(time + 0.01, timeline.duration)
+      if (to <= from) return 0
+      return ((sampleTrack(track, to) - sampleTrack(track, from)) / (to - from)) * direction
+    },
+
+    // Scrub to `seconds` (clamped); works while paused, e.g. for scroll-linked stories
+    seek(seconds) {
+      if (Object.keys(base).length === 0) captureBase()
+      ended = false
+      time = Math.min(Math.max(seconds, 0), timeline.duration)
+      apply()
+    },
+
+    setLoop(loop) {
+      if (TIMELINE_LOOPS.includes(loop)) timeline.loop = loop
+    },
+
+    // Advance by `delta` seconds; called from the viewer's animation loop
+    update(delta) {
+      if (!playing) return
+      const { duration, loop } = timeline
+      time += delta * direction
+
+      if (duration <= 0 || time >= duration || time <= 0) {
+        if (loop === 'repeat' && duration > 0) {
+          time = time % duration
+        } else if (loop === 'pingpong' && duration > 0) {
+          direction = time >= duration ? -1 : 1
+          time = Math.min(Math.max(time, 0), duration)
+        } else {
+          time = Math.min(Math.max(time, 0), duration)
+          playing = false
+          ended = true
+          apply()
+          onEnd?.()
+          return
+        }
+      }
+      apply()
+    },
+
+    getState() {
+      return { playing, time, duration: timeline.duration, loop: timeline.loop, progress: timeline.duration > 0 ? time / timeline.duration : 1 }
+    },
+  }
+}
+
+/**
+ * Runs timeline players side by side as named layers (the viewer uses 'intro', 'spin', 'tilt' and
+ * 'timeline' for the host's) and keeps one owner per property: a layer that starts or resumes takes
+ * over the properties it animates, and drags, snaps and scroll stories take them with claim().
+ * A layer that loses a property stops writing it. Once it has lost all of them its `onInterrupt`
+ * runs (without one, the layer is dropped).
+ */
+export function createTimelineEngine() {
+  const layers = new Map() // name -> { player, onInterrupt }
+
+  // Take `properties` away from every layer except `except`
+  function claim(properties, except = null) {
+    layers.forEach((layer, name) => {
+      if (name === except || !properties.some((property) => layer.player.drives(property))) return
+      if (layer.player.mute(properties) > 0) return
+      if (layer.onInterrupt) layer.onInterrupt()
+      else layers.delete(name)
+    })
+  }
+
+  return {
+    claim,
+
+    // Play `player` as layer `name` (replacing a layer with that name)
+    start(name, player, { onInterrupt } = {}) {
+      layers.delete(name)
+      claim(player.properties, name)
+      layers.set(name, { player, onInterrupt })
+      player.play()
+    },
+
+    // Play a paused layer again; it takes back the properties it lost. False when there's no such layer.
+    resume(name) {
+      const layer = layers.get(name)
+      if (!layer) return false
+      claim(layer.player.properties, name)
+      layer.player.play()
+      return true
+    },
+
+    // Drop a layer (it stays where it is); returns its player, or null
+    stop(name) {
+      const layer = layers.get(name)
+      layers.delete(name)
+      return layer?.player ?? null
+    },
+
+    stopAll() {
+      layers.clear()
+    },
+
+    get(name) {
+      return layers.get(name)?.player ?? null
+    },
+
+    // True while a playing layer is moving `property`
+    isAnimating(property) {
+      return Array.from(layers.values()).some(({ player }) => player.getState().playing && player.drives(property))
+    },
+
+    // How fast the layer driving `property` is moving it (units per second), 0 when none is
+    getVelocity(property) {
+      return Array.from(layers.values()).reduce((speed, { player }) => speed || player.getVelocity(property), 0)
+    },
+
+    // Advance every layer by `delta` seconds; called from the viewer's animation loop
+    update(delta) {
+      Array.from(layers.entries()).forEach(([name, { player }]) => {
+        if (layers.get(name)?.player === player) player.update(delta) // Skip layers stopped earlier this frame
+      })
+    },
+  }
+}
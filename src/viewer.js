@@ -0,0 +1,2030 @@
+// ============================================================================
+// VIEWER - One self-contained 3D model viewer bound to a container element
+// ============================================================================
+// Everything a viewer needs (scene, camera, renderer, lights, loaders, animation state)
+// lives on the instance, so several viewers can share a page. The canvas is sized to
+// the container with a ResizeObserver instead of the window.
+//
+//   const viewer = new Viewer(document.querySelector('#app'), { texture: 'albedo.jpg' })
+//   viewer.addEventListener('model-loaded', (event) => console.log(event.detail.meshCount))
+//   viewer.loadModel('MyModel.glb') // Call again later to crossfade to another model
+//   viewer.handleModelAction('spin')
+import * as THREE from 'three' // Three.js library for 3D graphics
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js' // Camera controls (drag to rotate)
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js' // Loads HDR environment maps
+import { RectAreaLightUniformsLib } from 'three/examples/jsm/lights/RectAreaLightUniformsLib.js'
+import { ERROR_CODES, VIEWER_EVENTS, actionResult } from './protocol.js'
+import { createActionQueue } from './actionQueue.js' // Holds actions until the model is ready
+import { disposeObject3D } from './dispose.js' // Frees GPU memory when models or the viewer go away
+import { createGLTFLoader } from './loaders.js' // Loads .glb model files (Draco / Meshopt / KTX2 aware)
+import { createLoadingOverlay } from './overlay.js' // Progress bar and error card on top of the canvas
+import { createZoomHint } from './zoomHint.js' // "ctrl + scroll to zoom" toast
+import { createAnnouncer } from './announcer.js' // ARIA live region for load state and orientation
+import { normalizeIntro, reduceIntroMotion } from './intro.js' // Declarative intro steps
+import { EASINGS, getEasing, isSpringEasing, stepSpring, validateEasing } from './easing.js' // Named easing curves and springs
+import { createClipPlayer } from './clips.js' // Animations baked into the GLB
+import { DRAG_BEHAVIOURS, MOTION_POLICIES, createMotionChannel, normalizeMotionPolicies } from './motion.js' // How spins/tilts combine
+import {
+  TIMELINE_LOOPS, createTimelineEngine, createTimelinePlayer, defaultScrollStory, normalizeScrollStory, resolveTimeline, sampleTrack,
+} from './timeline.js' // Keyframed choreography (and the engine every tweened move runs on)
+import { findProduct, findProductByFile, isSafeModelFile } from './manifest.js' // Named products with per-model defaults
+import { SNAP_AXES, cloneSnapRules, defaultSnapRules, findSnapTarget, normalizeDeg, normalizeSnapRules } from './snap.js' // Validated snap rules
+
+// Every action name handleModelAction understands (advertised to host pages in the ready event)
+export const MODEL_ACTIONS = [
+  'reset-view', 'spin', 'turn-left', 'turn-right', 'tilt-forward', 'tilt-back', 'tilt-neutral', 'tilt', 'load-model',
+  'set-snap-rules',
+  'play-clip', 'pause-clip', 'resume-clip', 'seek-clip', 'loop-clip', 'crossfade-clip', 'stop-clip',
+  'play-timeline', 'pause-timeline', 'resume-timeline', 'seek-timeline', 'loop-timeline', 'stop-timeline',
+  'scroll-progress', 'set-scroll-story',
+]
+
+export const defaultViewerOptions = {
+  model: '804_A_test_001.glb', // Change this to your default model
+  texture: null, // Optional texture for materials without a map (from /textures)
+  environment: 'park_music_stage_4k.hdr', // HDR lighting (from /environments)
+  baseUrl: import.meta.env.BASE_URL, // Folder that holds models/, textures/ and environments/
+  snap: true, // Turn rotation snapping on or off
+  snapRules: null, // Snap rules that override the product's (e.g. from ?snap=), see snap.js
+  // Flick spin after a drag is released
+  inertia: {
+    enabled: true, // false = rotation stops the moment the pointer is released
+    friction: 0.94, // Share of speed kept each frame at 60fps (lower = stops sooner, 0-1)
+    minSpeedDeg: 20, // Below this speed (degrees/second) the spin ends and snapping takes over
+  },
+  // Touch gestures (one finger still rotates the model)
+  touch: {
+    pinchZoom: true, // Two-finger pinch moves the camera closer/farther
+    twistRoll: true, // Two-finger twist rolls the view
+    doubleTapReset: true, // Double-tap returns to the starting view (like 'reset-view')
+  },
+  // Zoom limits as multiples of the distance frameObject() picked (1 = framed view)
+  zoom: {
+    min: 0.5, // Closest: half the framed distance
+    max: 2.5, // Farthest: 2.5x the framed distance
+    wheel: true, // Mouse wheel / trackpad pinch zoom
+    wheelSpeed: 0.002, // Zoom per wheel "pixel" (higher = faster)
+    damping: 0.2, // 0.0-1.0 easing toward the wheel's target distance per frame (higher = snappier)
+    // Leave page scrolling alone until the model is clicked/tapped (ctrl/⌘ + scroll always zooms)
+    cooperative: true,
+    hint: true, // Show "ctrl + scroll to zoom" when a cooperative scroll is ignored (or a custom string)
+  },
+  // Keyboard control once the canvas has focus (Tab to it, or click it)
+  keyboard: {
+    enabled: true,
+    rotateStepDeg: 15, // Left/right arrow turn
+    tiltStepDeg: 10, // Up/down arrow tilt
+    zoomStep: 1.2, // +/- zoom factor per press
+    // KeyboardEvent.key -> command. Commands: rotate-left, rotate-right, tilt-up, tilt-down,
+    // zoom-in, zoom-out, or any model action name ('reset-view', 'spin', 'tilt-forward'…).
+    // Pass your own map to replace these; map a key to null to unbind it.
+    bindings: {
+      ArrowLeft: 'rotate-left',
+      ArrowRight: 'rotate-right',
+      ArrowUp: 'tilt-up',
+      ArrowDown: 'tilt-down',
+      Home: 'reset-view',
+      ' ': 'spin',
+      '+': 'zoom-in',
+      '=': 'zoom-in', // Same physical key as + without shift
+      '-': 'zoom-out',
+    },
+  },
+  intro: null, // Intro preset name ('default', 'top-down', 'fade', 'none') or steps; overrides the product's (see intro.js)
+  // Scrollytelling: the host page sends scroll progress (0-1) and the model follows a story of keyframes
+  scroll: {
+    story: null, // Scroll story (see timeline.js); null = defaultScrollStory (full turn, top view halfway)
+    smoothing: 0.15, // 0.0-1.0 how quickly the model catches up with the scroll per frame (lower = smoother)
+  },
+  // How a spin or tilt combines with one that's still running (see motion.js)
+  animation: {
+    policies: null, // { [action]: 'replace' | 'additive' | 'queue' | 'ignore' } over the defaults (turns add up, tilts replace)
+    onDrag: 'cancel', // 'cancel' = a drag stops running spins/tilts, 'pause' = they carry on after the drag
+  },
+  reducedMotion: 'auto', // 'auto' follows the OS "reduce motion" setting; true/false forces it
+  announcer: true, // Screen reader announcements: false to turn off, or { messages } (see announcer.js)
+  loadingOverlay: true, // Built-in progress/error overlay: false to hide, or { theme, messages } (see overlay.js)
+  // What to do with actions (buttons or host page) that arrive before the model is ready
+  actionQueue: {
+    mode: 'replay', // 'replay' = run all in order, 'coalesce' = merge back-to-back repeats, 'latest' = only the last one
+    maxAgeMs: 15000, // Drop queued actions older than this many milliseconds (0 = never drop)
+  },
+}
+
+// Every material used by the meshes below `root` (each shared material only once)
+function collectMaterials(root) {
+  const materials = new Set()
+  root.traverse((obj) => {
+    if (obj.isMesh && obj.material) {
+      if (Array.isArray(obj.material)) {
+        obj.material.forEach((mat) => materials.add(mat))
+      } else {
+        materials.add(obj.material)
+      }
+    }
+  })
+  return Array.from(materials)
+}
+
+const defaultCameraPadding = 1.5 // Add 50% padding so model isn't right at the edge
+
+const easeInOutCubic = EASINGS.easeInOutCubic // Curve for the outgoing model's fade during a swap
+
+// Timeline properties for the model's rotation (drags and snaps take these over from running timelines)
+const ROTATION_PROPERTIES = ['rotation.x', 'rotation.y', 'rotation.z']
+
+// 0-1 progress of a tween ({ start, duration } in seconds); zero-length tweens finish at once
+function tweenProgress(track, now) {
+  if (!(track.duration > 0)) return 1
+  return THREE.MathUtils.clamp((now - track.start) / track.duration, 0, 1)
+}
+
+// Plain filenames load from `<baseUrl><folder>/`; absolute URLs and paths are used as-is
+function resolveAssetUrl(baseUrl, folder, file) {
+  if (/^(?:[a-z][a-z\d+.-]*:|\/)/i.test(file)) return file
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`
+  return `${base}${folder}/${file}`
+}
+
+export class Viewer extends EventTarget {
+  constructor(container, options = {}) {
+    super()
+    this.container = container
+    this.options = {
+      ...defaultViewerOptions,
+      ...options,
+      actionQueue: { ...defaultViewerOptions.actionQueue, ...options.actionQueue },
+      inertia: { ...defaultViewerOptions.inertia, ...options.inertia },
+      touch: { ...defaultViewerOptions.touch, ...options.touch },
+      zoom: { ...defaultViewerOptions.zoom, ...options.zoom },
+      keyboard: { ...defaultViewerOptions.keyboard, ...options.keyboard },
+      scroll: { ...defaultViewerOptions.scroll, ...options.scroll },
+      animation: { ...defaultViewerOptions.animation, ...options.animation },
+    }
+
+    this.disposed = false // Set by dispose(); late loader callbacks check it and clean up after themselves
+    this.currentModel = null // Reference to the currently loaded model (used for rotation)
+    this.currentEnvironment = null // Cache current HDR texture so it can be disposed
+    this.currentEnvironmentFile = null // HDR file on screen (or loading), so products sharing it don't reload it
+    this.currentModelFile = null // File/URL of the model on screen
+    this.modelName = null // Readable name of the model on screen (product name, glTF metadata or filename)
+    this.clipPlayer = null // Plays the model's embedded animation clips (see clips.js)
+    // Every tweened move plays here as a layer: 'intro', 'spin', 'tilt' and the host's 'timeline' (see timeline.js)
+    this.timelines = createTimelineEngine()
+
+    // Scroll-driven mode: starts with the first scroll-progress update from the host page
+    this.scrollState = {
+      active: false,
+      story: null, // Validated scroll story (set below)
+      target: 0, // Latest progress from the host page
+      current: 0, // Smoothed progress the model is posed at
+      dirty: false, // Pose the model on the next frame even if the progress hasn't moved (new story, mode just on, new model)
+      targets: null, // Timeline targets for the model on screen (rebuilt after a model swap)
+    }
+    this.setScrollStory(this.options.scroll.story)
+    this.lastFrameTime = performance.now() // For the clip player's frame delta
+    this.loadToken = 0 // Increments per loadModel() call so a slow, superseded download is thrown away
+    this.loadFailed = false // The latest load failed with no model on screen: actions can't wait for one
+
+    // OS "reduce motion" setting (see isReducedMotion)
+    this.reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null
+
+    // Pointer drag state for rotating the model
+    this.isPointerDown = false
+    this.dragPointerId = null // The one pointer that rotates the model
+    this.pointerPosition = { x: 0, y: 0 }
+    this.activePointers = new Map() // pointerId -> { x, y } for every finger/mouse currently down
+    this.lastTap = { time: 0, x: 0, y: 0 } // For double-tap detection
+
+    // Two-finger gesture (pinch zoom + twist roll)
+    this.gestureState = {
+      active: false,
+      startSpread: 0, // Finger distance when the gesture started (px)
+      startAngle: 0, // Finger angle when the gesture started (radians)
+      startDistance: 0, // Camera distance when the gesture started
+      startRoll: 0,
+    }
+    this.framedDistance = 5 // Camera distance frameObject() picked; zoom limits are multiples of it
+    this.zoomTargetDistance = null // Where wheel zoom is easing the camera to (null = not zooming)
+    this.wheelZoomArmed = false // Cooperative zoom: true once the model was clicked/tapped, until the pointer leaves
+    this.cameraRoll = 0 // View roll in radians (two-finger twist)
+    this.dragRotationSpeed = 0.005 // Change this number to rotate faster/slower
+    this.dragVelocity = { x: 0, y: 0, time: 0 } // Smoothed drag speed (radians/second) and last move time
+
+    // Flick spin after release (see options.inertia)
+    this.inertiaState = {
+      active: false,
+      velocity: { x: 0, y: 0 }, // Radians per second
+      lastTime: 0,
+    }
+
+    // Rotation snap rules per axis (defaults -> product in the manifest -> `snapRules` option), see snap.js
+    this.productSnapRules = cloneSnapRules(defaultSnapRules)
+    this.snapRotationSettings = this.readSnapRules('snapRules option', this.options.snapRules, this.productSnapRules)
+
+    // One target per axis while easing into snap angles (radians)
+    this.snapRotationState = {
+      active: false,
+      targets: {}, // e.g. { y: { target: 1.57, detent: 'side', mode: 'spring', … } } - axes still easing toward a snap angle
+      epsilon: THREE.MathUtils.degToRad(0.5), // Close enough angle to stop snapping
+      restSpeed: THREE.MathUtils.degToRad(5), // Slow enough (per second) for a spring to count as settled
+    }
+
+    // Per-model defaults (overridden by the product's manifest entry)
+    this.cameraPadding = defaultCameraPadding
+    this.initialRotation = { x: 0, y: 0, z: 0 } // Degrees; the pose the model loads in and 'reset-view' returns to
+    this.manifest = null // Product list from public/models/manifest.json (see setManifest)
+    this.product = null // Manifest entry of the model on screen, if any
+
+    this.modelIntroState = {
+      intro: {
+        active: false, // True from model load until the intro layer has finished (actions wait in the queue)
+      },
+      // Outgoing model during a model swap: fades to transparent, then its GPU memory is freed
+      fadeOut: {
+        active: false,
+        start: 0,
+        duration: 0.8,
+        materials: [],
+        pivot: null,
+      },
+    }
+
+    // The spin/tilt move each motion channel is running (it plays as the 'spin' / 'tilt' timeline layer)
+    this.motionTracks = {
+      spin: {
+        active: false,
+        start: 0,
+        duration: 0,
+        from: 0,
+        to: 0,
+        easing: 'easeInOutCubic',
+        relative: true, // Spins turn by an amount, so further turns can be added on
+      },
+      tilt: {
+        active: false,
+        start: 0,
+        duration: 0,
+        from: 0,
+        to: 0,
+        easing: 'easeInOutCubic',
+        relative: false, // Tilts go to an angle
+      },
+    }
+
+    // Spin and tilt actions (and keyboard steps) go through these channels, which apply the animation policies (see motion.js)
+    const { policies, errors: policyErrors } = normalizeMotionPolicies(this.options.animation.policies)
+    policyErrors.forEach((error) => console.warn(`[animation] policies option: ${error}`))
+    this.motionPolicies = policies
+    if (!DRAG_BEHAVIOURS.includes(this.options.animation.onDrag)) {
+      console.warn(`[animation] unknown onDrag "${this.options.animation.onDrag}", falling back to "cancel"`)
+      this.options.animation.onDrag = 'cancel'
+    }
+    this.motion = {
+      spin: createMotionChannel(this.motionTracks.spin, {
+        getValue: () => this.currentModel.rotation.y,
+        start: ({ amount, duration, easing }) => this.startSpin(amount, duration, easing),
+        interrupt: () => this.interruptTween('spin'),
+      }),
+      tilt: createMotionChannel(this.motionTracks.tilt, {
+        getValue: () => this.currentModel.rotation.x,
+        start: ({ target, duration, easing }) => this.startTilt(THREE.MathUtils.radToDeg(target), duration, easing),
+        interrupt: () => this.interruptTween('tilt'),
+      }),
+    }
+
+    // Actions wait here until a model exists and its intro animation has finished
+    this.actionQueue = createActionQueue({
+      run: (action, params) => this.runModelAction(action, params),
+      isReady: () => Boolean(this.currentModel) && !this.modelIntroState.intro.active,
+      canWait: () => !this.loadFailed, // Answer NO_MODEL right away instead of waiting for a model that isn't coming
+      mode: this.options.actionQueue.mode,
+      maxAgeMs: this.options.actionQueue.maxAgeMs,
+    })
+
+    // Bind handlers once so they can be removed again in dispose()
+    this.onPointerDown = this.onPointerDown.bind(this)
+    this.onPointerMove = this.onPointerMove.bind(this)
+    this.onPointerUp = this.onPointerUp.bind(this)
+    this.onPointerLeave = this.onPointerLeave.bind(this)
+    this.onWheel = this.onWheel.bind(this)
+    this.onKeyDown = this.onKeyDown.bind(this)
+    this.onFocus = this.onFocus.bind(this)
+    this.onBlur = this.onBlur.bind(this)
+    this.animate = this.animate.bind(this)
+
+    this.setupScene()
+    this.setupLights()
+    this.setupLoaders()
+
+    // Keep the canvas matched to the container's box (not the window)
+    this.resizeObserver = new ResizeObserver(() => this.onResize())
+    this.resizeObserver.observe(this.container)
+
+    // Progress bar + error card while models load
+    if (this.options.loadingOverlay) {
+      const overlayOptions = this.options.loadingOverlay === true ? {} : this.options.loadingOverlay
+      this.loadingOverlay = createLoadingOverlay(this, this.container, overlayOptions)
+    }
+    this.zoomHint = null // Created on the first ignored scroll (see getZoomHint)
+
+    if (this.options.announcer) {
+      const announcerOptions = this.options.announcer === true ? {} : this.options.announcer
+      this.announcer = createAnnouncer(this, this.container, announcerOptions)
+    }
+
+    // Load HDR environment lighting once
+    if (this.options.environment) this.loadEnvironmentMap(this.options.environment)
+
+    this.animate() // Start the animation loop
+  }
+
+  // ============================================================================
+  // SETUP - Basic scene, camera, and renderer
+  // ============================================================================
+  setupScene() {
+    const { width, height } = this.getContainerSize()
+
+    // Create the 3D scene (like a stage where everything happens)
+    this.scene = new THREE.Scene()
+    this.scene.background = null // Transparent background
+
+    // Create the camera (your viewpoint)
+    // Parameters: field of view (60°), aspect ratio, near clipping, far clipping
+    this.camera = new THREE.PerspectiveCamera(
+      60, // Field of view - how wide the camera sees (higher = wider view)
+      width / height, // Aspect ratio (width/height)
+      0.01, // Near clipping - objects closer than this won't render
+      2000 // Far clipping - objects farther than this won't render
+    )
+    this.camera.position.set(0, 0, 5) // Start position: x=0, y=0, z=5 (will be reframed when model loads)
+
+    // Create the renderer (draws everything to the screen)
+    const renderer = new THREE.WebGLRenderer({
+      antialias: true, // Smooth edges
+      alpha: true // Transparent background
+    })
+    renderer.setSize(width, height) // Match container size
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)) // High DPI support
+    renderer.shadowMap.enabled = true // Enable shadows
+    renderer.setClearColor(0x000000, 0) // Transparent clear color
+    renderer.toneMapping = THREE.ACESFilmicToneMapping // Better tonemapping for HDR
+    renderer.toneMappingExposure = 1.0 // Overall brightness multiplier
+    this.container.appendChild(renderer.domElement) // Add canvas to page
+    // An interactive widget, not a picture: with 'application' screen readers pass the arrow keys through
+    // to the viewer instead of ignoring the canvas as a static image (the announcer speaks the changes)
+    renderer.domElement.setAttribute('role', this.options.keyboard.enabled ? 'application' : 'img')
+    renderer.domElement.setAttribute('aria-roledescription', '3D model viewer')
+    renderer.domElement.setAttribute('aria-label', '3D model viewer') // Replaced with the model's name once it loads
+    renderer.domElement.style.touchAction = 'none' // Fingers rotate/zoom the model instead of scrolling the page
+    renderer.domElement.addEventListener('pointerdown', this.onPointerDown)
+    renderer.domElement.addEventListener('pointermove', this.onPointerMove)
+    renderer.domElement.addEventListener('pointerup', this.onPointerUp)
+    renderer.domElement.addEventListener('pointerleave', this.onPointerLeave)
+    renderer.domElement.addEventListener('pointercancel', this.onPointerUp)
+    renderer.domElement.addEventListener('wheel', this.onWheel, { passive: false }) // Not passive: zooming cancels the page scroll
+    if (this.options.keyboard.enabled) {
+      renderer.domElement.tabIndex = 0 // Reachable with Tab so keyboard users can rotate the model
+      renderer.domElement.addEventListener('keydown', this.onKeyDown)
+      renderer.domElement.addEventListener('focus', this.onFocus)
+      renderer.domElement.addEventListener('blur', this.onBlur)
+    }
+    this.renderer = renderer
+
+    // Camera controls - allows user to drag/zoom/pan around the model
+    const controls = new OrbitControls(this.camera, renderer.domElement)
+    controls.enableDamping = true // Smooth camera movement
+    controls.dampingFactor = 0.08 // How smooth (lower = smoother)
+    controls.minDistance = 0.1 // Can't zoom in closer than this
+    controls.maxDistance = 1000 // Can't zoom out farther than this
+    controls.target.set(0, 0, 0) // What the camera looks at (center of model)
+    controls.enableRotate = false // Disable camera rotation (we will rotate the model instead)
+    controls.enablePan = false // Disable camera panning
+    controls.enableZoom = false // Disable zooming
+    controls.enabled = false // Fully lock the camera in place
+    this.controls = controls
+  }
+
+  // ============================================================================
+  // LIGHTING - Lights up the scene
+  // ============================================================================
+  setupLights() {
+    const scene = this.scene
+
+    // Ambient light - soft light from all directions (like daylight)
+    const hemi = new THREE.HemisphereLight(0xffffff, 0x444444, 0.7)
+    // Parameters: sky color, ground color, intensity (0-1)
+    hemi.position.set(0, 1, 0) // Position doesn't matter for hemisphere light
+    scene.add(hemi)
+    this.hemiLight = hemi
+
+    // Sun light - directional light (like sunlight) with shadows
+    const sun = new THREE.DirectionalLight(0xffffff, .0)
+    // Parameters: color (white), intensity (3.0 = bright)
+    sun.position.set(0, 0, 0) // Position of the light source
+    sun.castShadow = true // Enable shadow casting
+    sun.shadow.mapSize.set(2048, 2048) // Shadow quality (higher = better but slower)
+    sun.shadow.normalBias = 0.02 // Fixes shadow artifacts
+    sun.shadow.bias = -0.0005 // Fixes shadow acne
+    // Shadow camera bounds - how large an area casts shadows
+    sun.shadow.camera.left = -10
+    sun.shadow.camera.right = 10
+    sun.shadow.camera.top = 10
+    sun.shadow.camera.bottom = -10
+    sun.shadow.camera.near = 0.1
+    sun.shadow.camera.far = 200
+    scene.add(sun)
+    scene.add(sun.target) // Where the light points
+    this.sun = sun
+
+    // Visual helper to see where the sun light is (yellow line)
+    const sunHelper = new THREE.DirectionalLightHelper(sun, 0.5, 0xffcc66)
+    sunHelper.visible = true // Toggle in GUI to show/hide
+    scene.add(sunHelper)
+    this.sunHelper = sunHelper
+
+    // Rect area lights for soft, diffused fill (arranged around model)
+    RectAreaLightUniformsLib.init()
+    this.areaLights = []
+    const areaLightSettings = [
+      { position: new THREE.Vector3(-4, 3, 2), rotation: new THREE.Euler(0, Math.PI / 4, 0) },
+      { position: new THREE.Vector3(4, 3, 2), rotation: new THREE.Euler(0, -Math.PI / 4, 0) },
+      { position: new THREE.Vector3(0, 5, -3), rotation: new THREE.Euler(-Math.PI / 6, 0, 0) },
+    ]
+
+    areaLightSettings.forEach(({ position, rotation }) => {
+      const rectLight = new THREE.RectAreaLight(0xffffff, 3.5, 6, 8) // color, intensity, width, height
+      rectLight.position.copy(position)
+      rectLight.rotation.copy(rotation)
+      rectLight.lookAt(0, 0, 0)
+      scene.add(rectLight)
+      this.areaLights.push(rectLight)
+    })
+  }
+
+  // ============================================================================
+  // FILE LOADERS - Load models and textures from the public folder
+  // ============================================================================
+  setupLoaders() {
+    // Base URL works for both local dev and GitHub Pages; asset URLs are resolved per file
+    console.log('Base URL:', this.options.baseUrl) // Debug: check what base URL is being used
+    // Compressed-asset decoders are served from <baseUrl>decoders/ (see plugins/decoders.js)
+    const { gltfLoader, dispose } = createGLTFLoader({
+      renderer: this.renderer,
+      decoderBaseUrl: this.assetUrl('decoders', ''),
+    })
+    this.gltfLoader = gltfLoader
+    this.disposeGLTFLoader = dispose
+    this.textureLoader = new THREE.TextureLoader()
+    this.rgbeLoader = new RGBELoader()
+  }
+
+  assetUrl(folder, file) {
+    return resolveAssetUrl(this.options.baseUrl, folder, file)
+  }
+
+  // True when animations should be skipped or shortened (`reducedMotion` option or the OS setting)
+  isReducedMotion() {
+    const { reducedMotion } = this.options
+    if (reducedMotion === true || reducedMotion === false) return reducedMotion
+    return Boolean(this.reducedMotionQuery?.matches)
+  }
+
+  // Readable name for a model file: the manifest product's name, or the filename without folders/extension
+  describeModelFile(file) {
+    const product = findProductByFile(this.manifest, file)
+    if (product) return product.name
+    return String(file ?? '').split(/[\\/?#]/).filter(Boolean).pop()?.replace(/\.(?:glb|gltf)$/i, '') || '3D model'
+  }
+
+  // Name (and optional description) for the model on screen, from the manifest or glTF metadata
+  // (`asset.extras.title` / `description`, then the scene's name), falling back to the filename
+  readModelMetadata(gltf, file, product) {
+    const extras = gltf.asset?.extras || {}
+    const sceneExtras = gltf.scene?.userData || {}
+    const title = [product?.name, extras.title, sceneExtras.title, gltf.scene?.name]
+      .find((value) => typeof value === 'string' && value.trim() !== '' && value !== 'Scene') // 'Scene' is the exporters' default
+    const description = [extras.description, sceneExtras.description].find((value) => typeof value === 'string' && value.trim() !== '')
+    return { name: title?.trim() || this.describeModelFile(file), description: description?.trim() || null }
+  }
+
+  // Accessible label for the canvas, e.g. "804 A. Drag or use the arrow keys to rotate."
+  updateCanvasLabel({ name, description }) {
+    const hint = this.options.keyboard.enabled ? 'Drag or use the arrow keys to rotate.' : 'Drag to rotate.'
+    const label = [name, description].filter(Boolean).join(': ')
+    this.renderer.domElement.setAttribute('aria-label', `${label}. ${hint}`)
+  }
+
+  // Dispatch a viewer event (see VIEWER_EVENTS in protocol.js); listen with addEventListener
+  emit(event, detail = {}) {
+    this.dispatchEvent(new CustomEvent(event, { detail }))
+  }
+
+  getContainerSize() {
+    // Fall back to 1px so the aspect ratio never divides by zero while hidden
+    return {
+      width: Math.max(this.container.clientWidth, 1),
+      height: Math.max(this.container.clientHeight, 1),
+    }
+  }
+
+  // ============================================================================
+  // SNAPPING - Ease the model into preset angles after a drag
+  // ============================================================================
+  // Override the snap rules at runtime (`set-snap-rules` action). Invalid rules are rejected as a whole.
+  // Fields left out keep the product's values; the override sticks across model loads (null removes it).
+  setSnapRules(input) {
+    if (input !== null) {
+      const { errors } = normalizeSnapRules(input)
+      if (errors.length > 0) return { ok: false, errors }
+    }
+    this.options.snapRules = input
+    this.snapRotationSettings = input === null
+      ? cloneSnapRules(this.productSnapRules)
+      : normalizeSnapRules(input, this.productSnapRules).rules
+    this.cancelSnap()
+    return { ok: true, errors: [] }
+  }
+
+  // Turn snapping on or off for this viewer (the rules' own `enabled` flag still applies)
+  setSnapEnabled(enabled) {
+    this.options.snap = enabled
+    if (!enabled) this.cancelSnap()
+  }
+
+  isSnapEnabled() {
+    return this.options.snap && this.snapRotationSettings.enabled
+  }
+
+  cancelSnap() {
+    this.snapRotationState.active = false
+    this.snapRotationState.targets = {}
+  }
+
+  // Layer `input` over `base`, warning about (and skipping) invalid parts
+  readSnapRules(source, input, base) {
+    if (!input) return cloneSnapRules(base)
+    const { rules, errors } = normalizeSnapRules(input, base)
+    errors.forEach((error) => console.warn(`[snap] ${source}: ${error}`))
+    return rules
+  }
+
+  // Limits for one axis in radians, or null when the axis is unclamped
+  getClampRad(axis) {
+    const clampDeg = this.snapRotationSettings.axes[axis]?.clampDeg
+    if (!clampDeg) return null
+    return { min: THREE.MathUtils.degToRad(clampDeg.min), max: THREE.MathUtils.degToRad(clampDeg.max) }
+  }
+
+  // Keep one rotation axis inside its configured clamp
+  clampAxis(axis) {
+    const limits = this.getClampRad(axis)
+    if (!limits || !this.currentModel) return
+    const rotation = this.currentModel.rotation
+    rotation[axis] = THREE.MathUtils.clamp(rotation[axis], limits.min, limits.max)
+  }
+
+  // Start easing toward a snap angle and tell the host page where we're heading.
+  // `easing` null = per-frame smoothing by `speed`; springs start at `velocity` (radians/second).
+  activateSnap(axis, targetDeg, detent = null, easing = null, velocity = 0) {
+    const now = performance.now() / 1000
+    const snapTarget = { target: THREE.MathUtils.degToRad(targetDeg), detent, mode: 'smooth' }
+    if (isSpringEasing(easing)) {
+      Object.assign(snapTarget, { mode: 'spring', spring: easing, velocity, lastTime: now })
+    } else if (easing) {
+      const from = this.currentModel.rotation[axis]
+      Object.assign(snapTarget, { mode: 'curve', easing: getEasing(easing), from, start: now, duration: this.snapRotationSettings.duration })
+    }
+    this.snapRotationState.active = true
+    this.snapRotationState.targets[axis] = snapTarget
+    this.emit(VIEWER_EVENTS.snap, { axis, targetDeg, detent })
+  }
+
+  // How fast each axis is turning right now (radians/second): a flick, a drag that just ended, or a
+  // timeline layer (spin, tilt, intro, the host's timeline). Spring snaps start with this speed so the
+  // motion doesn't stop dead.
+  getRotationVelocity() {
+    const velocity = { x: 0, y: 0, z: 0 }
+    const { inertiaState, dragVelocity } = this
+    if (inertiaState.active) {
+      velocity.x = inertiaState.velocity.x
+      velocity.y = inertiaState.velocity.y
+    } else if (performance.now() - dragVelocity.time <= 80) {
+      velocity.x = dragVelocity.x
+      velocity.y = dragVelocity.y
+    }
+
+    SNAP_AXES.forEach((axis) => {
+      const speedDeg = this.timelines.getVelocity(`rotation.${axis}`) // Timelines animate in degrees
+      if (speedDeg !== 0) velocity[axis] = THREE.MathUtils.degToRad(speedDeg)
+    })
+    return velocity
+  }
+
+  // The model settled on a snap angle: tidy up wrapping axes and tell the host page
+  reachSnapTarget(axis, { target, detent }) {
+    const axisRules = this.snapRotationSettings.axes[axis]
+    let angleDeg = THREE.MathUtils.radToDeg(target)
+    if (axisRules?.wrap) {
+      // 360° looks the same as 0°: store the small angle so later turns don't pile up
+      angleDeg = normalizeDeg(angleDeg)
+      this.currentModel.rotation[axis] = THREE.MathUtils.degToRad(angleDeg)
+    } else {
+      this.currentModel.rotation[axis] = target
+    }
+    this.emit(VIEWER_EVENTS.snapDetent, { axis, detent, angleDeg })
+  }
+
+  // Check every configured axis (thresholds, then detents); each one snaps independently.
+  // A snap takes the axis over from a spin, tilt or timeline still running on it.
+  applyRotationSnap() {
+    this.cancelSnap()
+    if (!this.isSnapEnabled() || !this.currentModel) return
+
+    const velocity = this.getRotationVelocity()
+    Object.entries(this.snapRotationSettings.axes).forEach(([axis, axisRules]) => {
+      const valueDeg = THREE.MathUtils.radToDeg(this.currentModel.rotation[axis])
+      const match = findSnapTarget(axisRules, valueDeg)
+      if (!match) return
+      this.timelines.claim([`rotation.${axis}`])
+      this.activateSnap(axis, match.targetDeg, match.detent, match.easing ?? this.snapRotationSettings.easing, velocity[axis])
+    })
+  }
+
+  updateSnapRotation() {
+    const { snapRotationState, currentModel } = this
+    if (!snapRotationState.active || !currentModel) return
+
+    const now = performance.now() / 1000
+    const reducedMotion = this.isReducedMotion() // Reduced motion: jump straight there
+    Object.entries(snapRotationState.targets).forEach(([axis, snapTarget]) => {
+      const current = currentModel.rotation[axis]
+      const delta = snapTarget.target - current
+      const settled = snapTarget.mode === 'curve'
+        ? tweenProgress(snapTarget, now) >= 1
+        : Math.abs(delta) <= snapRotationState.epsilon && Math.abs(snapTarget.velocity ?? 0) <= snapRotationState.restSpeed
+
+      if (settled || reducedMotion) {
+        delete snapRotationState.targets[axis]
+        this.reachSnapTarget(axis, snapTarget)
+        return
+      }
+
+      if (snapTarget.mode === 'curve') {
+        const eased = snapTarget.easing(tweenProgress(snapTarget, now))
+        currentModel.rotation[axis] = snapTarget.from + (snapTarget.target - snapTarget.from) * eased
+      } else if (snapTarget.mode === 'spring') {
+        const dt = Math.min(now - snapTarget.lastTime, 0.1) // Don't jump after a hidden tab
+        snapTarget.lastTime = now
+        const next = stepSpring({ value: current, velocity: snapTarget.velocity }, snapTarget.target, dt, snapTarget.spring)
+        currentModel.rotation[axis] = next.value
+        snapTarget.velocity = next.velocity
+      } else {
+        currentModel.rotation[axis] = current + delta * this.snapRotationSettings.speed
+      }
+
+      const unclamped = currentModel.rotation[axis]
+      this.clampAxis(axis)
+      // A spring bouncing into a clamp limit stops there instead of pushing against it
+      if (snapTarget.mode === 'spring' && currentModel.rotation[axis] !== unclamped) snapTarget.velocity = 0
+    })
+
+    snapRotationState.active = Object.keys(snapRotationState.targets).length > 0
+  }
+
+  // ============================================================================
+  // MODEL ANIMATIONS - Intro, spins and tilts (all played as timeline layers)
+  // ============================================================================
+  // Turn the model around Y by `amount` radians (positive = turn right, clockwise), as the 'spin' layer.
+  // Start spins through this.motion.spin rather than calling this directly, so the policies apply.
+  startSpin(amount = Math.PI * 2, duration = 3, easing = 'easeInOutCubic') {
+    const { currentModel } = this
+    if (!currentModel) return
+    const track = this.motionTracks.spin
+    if (track.active) this.emitRotationEnd(VIEWER_EVENTS.spinEnd, 'y', true) // Restarting cuts the old spin short
+    const from = currentModel.rotation.y
+    Object.assign(track, { active: true, start: performance.now() / 1000, duration, easing, from, to: from + amount })
+    this.playMotionLayer('spin', { preset: 'spin', degrees: THREE.MathUtils.radToDeg(amount), duration, easing })
+    this.emitRotationStart(VIEWER_EVENTS.spinStart, track)
+  }
+
+  // Tilt (X axis) to `targetDegrees` (positive = forward), as the 'tilt' layer.
+  // Clamped to the x axis `clampDeg` in the snap rules so the model never exceeds your limits.
+  startTilt(targetDegrees, duration = 1.2, easing = 'easeInOutCubic') {
+    const { currentModel } = this
+    if (!currentModel) return
+    const { min, max } = this.snapRotationSettings.axes.x?.clampDeg || { min: -90, max: 90 }
+    const toDeg = THREE.MathUtils.clamp(targetDegrees, min, max)
+
+    const track = this.motionTracks.tilt
+    if (track.active) this.emitRotationEnd(VIEWER_EVENTS.tiltEnd, 'x', true)
+    const from = currentModel.rotation.x
+    Object.assign(track, { active: true, start: performance.now() / 1000, duration, easing, from, to: THREE.MathUtils.degToRad(toDeg) })
+    this.playMotionLayer('tilt', { preset: 'tilt', degrees: toDeg, duration, easing })
+    this.emitRotationStart(VIEWER_EVENTS.tiltStart, track)
+  }
+
+  // Play a spin/tilt preset as its layer. Whatever else was turning that axis gives way; if something
+  // takes the axis over in turn (a drag, a snap, a timeline) the channel cancels the move.
+  playMotionLayer(name, presetInput) {
+    const { timeline } = resolveTimeline(presetInput, { rotationDeg: this.getModelState().rotation })
+    const player = createTimelinePlayer(timeline, this.getTimelineTargets(), {
+      onEnd: () => {
+        this.timelines.stop(name)
+        this.motionTracks[name].active = false
+        if (name === 'spin') this.emitRotationEnd(VIEWER_EVENTS.spinEnd, 'y')
+        else this.emitRotationEnd(VIEWER_EVENTS.tiltEnd, 'x')
+        this.motion[name].finished() // Start a queued move, if any
+      },
+    })
+    this.timelines.start(name, player, { onInterrupt: () => this.motion[name].cancel() })
+  }
+
+  // Host-page events for spin/tilt tweens (angles reported in degrees)
+  emitRotationStart(event, track) {
+    this.emit(event, {
+      fromDeg: THREE.MathUtils.radToDeg(track.from),
+      toDeg: THREE.MathUtils.radToDeg(track.to),
+      duration: track.duration,
+    })
+  }
+
+  emitRotationEnd(event, axis, interrupted = false) {
+    this.emit(event, { rotationDeg: THREE.MathUtils.radToDeg(this.currentModel.rotation[axis]), interrupted })
+  }
+
+  // Stop a spin/tilt where it is (the motion channels call this)
+  interruptTween(name) {
+    const track = this.motionTracks[name]
+    if (!track.active) return
+    track.active = false
+    this.timelines.stop(name)
+    if (name === 'spin') this.emitRotationEnd(VIEWER_EVENTS.spinEnd, 'y', true)
+    else this.emitRotationEnd(VIEWER_EVENTS.tiltEnd, 'x', true)
+  }
+
+  // A drag takes over from running spins/tilts (animation.onDrag), then takes the rotation from
+  // the intro and the host's timeline: the rest of the intro leaves a model the user is holding (or
+  // flicking) alone, and a timeline that only turned the model pauses until resume-timeline
+  interruptMotionForDrag() {
+    const pause = this.options.animation.onDrag === 'pause'
+    Object.values(this.motion).forEach((channel) => (pause ? channel.pause() : channel.cancel()))
+    this.timelines.claim(ROTATION_PROPERTIES)
+  }
+
+  // Stop running spins/tilts and forget queued or drag-paused ones
+  cancelMotion() {
+    Object.values(this.motion).forEach((channel) => channel.cancel())
+  }
+
+  // Carry on with moves a drag paused; true when one did (it replaces snapping and inertia)
+  resumeMotion() {
+    return Object.values(this.motion).map((channel) => channel.resume()).some(Boolean)
+  }
+
+  // Run the intro for a freshly loaded model: `intro` option (e.g. ?intro=top-down), else the product's, else the default
+  startModelIntroAnimation() {
+    const { steps, errors } = normalizeIntro(this.options.intro ?? this.product?.intro)
+    errors.forEach((error) => console.warn(`[intro] ${error}`))
+    this.playIntro(this.isReducedMotion() ? reduceIntroMotion(steps) : steps)
+  }
+
+  // Play intro steps as the 'intro' layer (the `intro` timeline preset). Steps at 0s (like jumping to a
+  // top-down pose, or hiding the model before a fade) apply before the first frame.
+  playIntro(steps) {
+    const { timeline } = resolveTimeline({ preset: 'intro', intro: steps }, { rotationDeg: this.getModelState().rotation })
+    const targets = this.getTimelineTargets()
+    const finish = () => {
+      this.timelines.stop('intro')
+      targets.opacity.restore()
+    }
+    this.modelIntroState.intro.active = true // Cleared by updateIntroCompletion() once the layer is gone
+    this.timelines.start('intro', createTimelinePlayer(timeline, targets, { onEnd: finish }), { onInterrupt: finish })
+  }
+
+  // Crossfade from the model on screen to a freshly loaded one (used when swapping models).
+  // The new model keeps the outgoing model's orientation so the swap feels continuous.
+  startModelCrossfade(outgoingPivot) {
+    const { modelIntroState } = this
+    this.finishFadeOut() // A previous swap still fading out is removed right away
+
+    modelIntroState.fadeOut.active = true
+    modelIntroState.fadeOut.start = performance.now() / 1000
+    modelIntroState.fadeOut.materials = collectMaterials(outgoingPivot)
+    modelIntroState.fadeOut.materials.forEach((mat) => {
+      mat.transparent = true
+      mat.needsUpdate = true
+    })
+    modelIntroState.fadeOut.pivot = outgoingPivot
+
+    // The incoming model fades in as a fade-only intro (queued actions wait until the crossfade is done)
+    this.playIntro([{ type: 'fade', duration: this.isReducedMotion() ? 0.3 : 1.5 }])
+  }
+
+  // Drop the outgoing model and free its geometries, materials and textures
+  finishFadeOut() {
+    const { fadeOut } = this.modelIntroState
+    if (fadeOut.pivot) disposeObject3D(fadeOut.pivot)
+    fadeOut.active = false
+    fadeOut.materials = []
+    fadeOut.pivot = null
+  }
+
+  // Called every frame: once every intro step is done, replay actions that were waiting
+  updateIntroCompletion() {
+    const { modelIntroState } = this
+    if (!modelIntroState.intro.active) return
+    if (this.timelines.get('intro') || modelIntroState.fadeOut.active) return
+    modelIntroState.intro.active = false
+    this.emit(VIEWER_EVENTS.introComplete)
+    this.actionQueue.flush()
+  }
+
+  updateModelAnimations() {
+    const { currentModel, modelIntroState } = this
+    if (!currentModel) return
+
+    const now = performance.now() / 1000
+
+    if (modelIntroState.fadeOut.active) {
+      const elapsed = now - modelIntroState.fadeOut.start
+      const t = THREE.MathUtils.clamp(elapsed / modelIntroState.fadeOut.duration, 0, 1)
+      const opacity = 1 - easeInOutCubic(t)
+      modelIntroState.fadeOut.materials.forEach((mat) => {
+        mat.opacity = opacity
+      })
+      if (t >= 1) this.finishFadeOut()
+    }
+  }
+
+  // ============================================================================
+  // MODEL ROTATION WITH POINTER - Drag to rotate the model while camera stays put
+  // ============================================================================
+  // Every pointer is tracked: one rotates the model, a second one turns the drag into a pinch/twist
+  onPointerDown(event) {
+    this.wheelZoomArmed = true // Clicking the model opts in to plain-scroll zoom (cooperative mode)
+    if (!this.currentModel) return
+    this.activePointers.set(event.pointerId, { x: event.clientX, y: event.clientY, downTime: event.timeStamp })
+    this.renderer.domElement.setPointerCapture(event.pointerId)
+
+    if (this.activePointers.size === 2) {
+      this.endDrag({ settle: false }) // The first finger stops rotating; snapping waits for the gesture to end
+      this.startGesture()
+      return
+    }
+    if (this.activePointers.size > 2) return // Extra fingers are ignored until they lift
+
+    this.isPointerDown = true
+    this.dragPointerId = event.pointerId
+    this.cancelSnap() // Stop any ongoing snap when user drags
+    this.cancelInertia() // Grabbing the model catches a flick spin
+    this.interruptMotionForDrag() // …and a spin or tilt, so the tween doesn't fight the drag
+    this.dragVelocity = { x: 0, y: 0, time: event.timeStamp }
+    this.pointerPosition.x = event.clientX
+    this.pointerPosition.y = event.clientY
+    this.emit(VIEWER_EVENTS.dragStart, { rotation: this.getModelState().rotation })
+  }
+
+  // Finish a drag: tell the host, then coast (inertia) or let snapping take over.
+  // `settle: false` skips both (a pinch is taking over).
+  endDrag({ settle = true } = {}) {
+    if (!this.isPointerDown) return
+    this.isPointerDown = false
+    this.dragPointerId = null
+    this.emit(VIEWER_EVENTS.dragEnd, { rotation: this.getModelState().rotation })
+    if (!settle || this.resumeMotion()) return
+    if (!this.startInertia()) this.applyRotationSnap()
+  }
+
+  onPointerMove(event) {
+    const tracked = this.activePointers.get(event.pointerId)
+    if (tracked) {
+      tracked.x = event.clientX
+      tracked.y = event.clientY
+    }
+    if (this.gestureState.active) {
+      this.updateGesture()
+      return
+    }
+
+    const { currentModel, pointerPosition } = this
+    if (!this.isPointerDown || !currentModel || event.pointerId !== this.dragPointerId) return
+    const deltaX = event.clientX - pointerPosition.x
+    const deltaY = event.clientY - pointerPosition.y
+    currentModel.rotation.y += deltaX * this.dragRotationSpeed // Horizontal drag -> Y rotation
+    currentModel.rotation.x += deltaY * this.dragRotationSpeed // Vertical drag -> X rotation
+
+    // Clamp rotation limits so the model doesn't flip over
+    this.clampAxis('x')
+    this.clampAxis('y')
+
+    // Track drag speed for the flick spin; smoothing keeps one jittery event from dominating
+    const { dragVelocity } = this
+    const seconds = (event.timeStamp - dragVelocity.time) / 1000
+    if (seconds > 0) {
+      const smoothing = 0.8 // Weight of the newest sample
+      dragVelocity.x += ((deltaY * this.dragRotationSpeed) / seconds - dragVelocity.x) * smoothing
+      dragVelocity.y += ((deltaX * this.dragRotationSpeed) / seconds - dragVelocity.y) * smoothing
+      dragVelocity.time = event.timeStamp
+    }
+
+    pointerPosition.x = event.clientX
+    pointerPosition.y = event.clientY
+  }
+
+  // ============================================================================
+  // INERTIA - Let a flicked model keep turning and slow down, then snap
+  // ============================================================================
+  // Returns true when the model starts coasting (snapping runs once it slows down)
+  startInertia() {
+    const { inertia } = this.options
+    const { dragVelocity, inertiaState } = this
+    if (!inertia.enabled || !this.currentModel || this.isReducedMotion()) return false
+
+    // Holding still before letting go means no flick
+    const idleMs = performance.now() - dragVelocity.time
+    if (idleMs > 80) return false
+
+    const speedDeg = THREE.MathUtils.radToDeg(Math.hypot(dragVelocity.x, dragVelocity.y))
+    if (speedDeg < inertia.minSpeedDeg) return false
+
+    inertiaState.active = true
+    inertiaState.velocity = { x: dragVelocity.x, y: dragVelocity.y }
+    inertiaState.lastTime = performance.now() / 1000
+    return true
+  }
+
+  cancelInertia() {
+    this.inertiaState.active = false
+  }
+
+  updateInertia() {
+    const { inertiaState, currentModel } = this
+    if (!inertiaState.active || !currentModel) return
+
+    const now = performance.now() / 1000
+    const dt = Math.min(now - inertiaState.lastTime, 0.1) // Don't jump after a hidden tab
+    inertiaState.lastTime = now
+
+    const { velocity } = inertiaState
+    const before = { x: currentModel.rotation.x, y: currentModel.rotation.y }
+    currentModel.rotation.x += velocity.x * dt
+    currentModel.rotation.y += velocity.y * dt
+    this.clampAxis('x')
+    this.clampAxis('y')
+
+    // Hitting a clamp stops that axis instead of pushing against the limit
+    if (currentModel.rotation.x === before.x) velocity.x = 0
+    if (currentModel.rotation.y === before.y) velocity.y = 0
+
+    // Friction is given per 60fps frame; scale it to the real frame time
+    const decay = Math.pow(this.options.inertia.friction, dt * 60)
+    velocity.x *= decay
+    velocity.y *= decay
+
+    // Slow enough: hand over to snapping so the model settles into a detent
+    const speedDeg = THREE.MathUtils.radToDeg(Math.hypot(velocity.x, velocity.y))
+    if (speedDeg < this.options.inertia.minSpeedDeg) {
+      inertiaState.active = false
+      this.applyRotationSnap()
+    }
+  }
+
+  // ============================================================================
+  // TOUCH GESTURES - Pinch to zoom, twist to roll, double-tap to reset
+  // ============================================================================
+  // Distance (px) and angle (radians) between the first two fingers
+  getFingerSpread() {
+    const [a, b] = Array.from(this.activePointers.values())
+    return { spread: Math.hypot(b.x - a.x, b.y - a.y), angle: Math.atan2(b.y - a.y, b.x - a.x) }
+  }
+
+  startGesture() {
+    const { gestureState } = this
+    const { spread, angle } = this.getFingerSpread()
+    this.cancelSnap()
+    this.cancelInertia()
+    gestureState.active = true
+    gestureState.startSpread = Math.max(spread, 1)
+    gestureState.startAngle = angle
+    gestureState.startDistance = this.getCameraDistance()
+    gestureState.startRoll = this.cameraRoll
+  }
+
+  updateGesture() {
+    const { gestureState } = this
+    const { touch } = this.options
+    if (this.activePointers.size < 2) return
+    const { spread, angle } = this.getFingerSpread()
+
+    if (touch.pinchZoom) {
+      // Fingers apart = closer (zoom in), fingers together = farther
+      this.setCameraDistance(gestureState.startDistance * (gestureState.startSpread / Math.max(spread, 1)))
+    }
+    if (touch.twistRoll) {
+      this.setCameraRoll(gestureState.startRoll + (angle - gestureState.startAngle))
+    }
+  }
+
+  endGesture() {
+    if (!this.gestureState.active) return
+    this.gestureState.active = false
+    if (this.resumeMotion()) return
+    this.applyRotationSnap() // The model may have been left between detents by the first finger
+  }
+
+  getCameraDistance() {
+    return this.camera.position.distanceTo(this.controls.target)
+  }
+
+  clampCameraDistance(distance) {
+    const { min, max } = this.options.zoom
+    return THREE.MathUtils.clamp(distance, this.framedDistance * min, this.framedDistance * max)
+  }
+
+  // Move the camera along its current line of sight, kept within the zoom limits.
+  // `smooth` eases there over the next frames (wheel); otherwise it jumps (pinch follows the fingers).
+  setCameraDistance(distance, { smooth = false } = {}) {
+    if (smooth) {
+      this.zoomTargetDistance = this.clampCameraDistance(distance)
+      return
+    }
+    const { camera, controls } = this
+    this.zoomTargetDistance = null
+    const direction = camera.position.clone().sub(controls.target).normalize()
+    camera.position.copy(controls.target).addScaledVector(direction, this.clampCameraDistance(distance))
+    controls.update()
+  }
+
+  // ============================================================================
+  // WHEEL ZOOM - Mouse wheel and trackpad pinch dolly the camera
+  // ============================================================================
+  // Trackpad pinches arrive as wheel events with ctrlKey set, so they always zoom.
+  // In cooperative mode a plain scroll only zooms after the model was clicked/tapped;
+  // otherwise the page scrolls as usual and the hint explains how to zoom.
+  onWheel(event) {
+    const { zoom } = this.options
+    if (!zoom.wheel || !this.currentModel) return
+
+    const withModifier = event.ctrlKey || event.metaKey
+    if (zoom.cooperative && !withModifier && !this.wheelZoomArmed) {
+      if (zoom.hint) this.getZoomHint().show()
+      return // Not prevented: the host page scrolls
+    }
+
+    event.preventDefault()
+    this.zoomHint?.hide()
+
+    // Lines/pages -> pixels, then cap each event so a fast mouse wheel doesn't jump across the range
+    const pixels = event.deltaY * (event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? this.renderer.domElement.clientHeight : 1)
+    const delta = THREE.MathUtils.clamp(pixels, -100, 100)
+    const from = this.zoomTargetDistance ?? this.getCameraDistance()
+    this.setCameraDistance(from * Math.exp(delta * zoom.wheelSpeed), { smooth: true }) // Scroll down = farther
+  }
+
+  // Created on first use so viewers that never see a wheel event don't add the element
+  getZoomHint() {
+    if (!this.zoomHint) {
+      const { hint } = this.options.zoom
+      this.zoomHint = createZoomHint(this.container, typeof hint === 'string' ? { text: hint } : {})
+    }
+    return this.zoomHint
+  }
+
+  // Ease the camera toward the wheel's target distance
+  updateZoom() {
+    if (this.zoomTargetDistance === null) return
+    const current = this.getCameraDistance()
+    const delta = this.zoomTargetDistance - current
+    if (Math.abs(delta) < this.framedDistance * 0.0005) {
+      this.setCameraDistance(this.zoomTargetDistance)
+      return
+    }
+    const { camera, controls } = this
+    const direction = camera.position.clone().sub(controls.target).normalize()
+    camera.position.copy(controls.target).addScaledVector(direction, current + delta * this.options.zoom.damping)
+  }
+
+  // ============================================================================
+  // KEYBOARD - Arrow keys rotate/tilt, Home resets, Space spins, +/- zoom
+  // ============================================================================
+  // Focus ring only for keyboard focus (:focus-visible), so clicking to drag doesn't draw it.
+  // Recolour it with the --mhv-focus-ring CSS custom property.
+  onFocus() {
+    const canvas = this.renderer.domElement
+    if (!canvas.matches(':focus-visible')) return
+    canvas.style.outline = '3px solid var(--mhv-focus-ring, #3b82f6)'
+    canvas.style.outlineOffset = '-3px' // Inside the canvas so it isn't clipped by the container
+  }
+
+  onBlur() {
+    this.renderer.domElement.style.outline = ''
+  }
+
+  onKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return // Leave browser shortcuts alone
+    const command = this.options.keyboard.bindings[event.key]
+    if (!command) return
+    event.preventDefault() // Arrows and Space would otherwise scroll the page
+    this.runKeyboardCommand(command)
+  }
+
+  // Keyboard-only commands move in small steps; anything else is treated as a model action
+  runKeyboardCommand(command) {
+    const { keyboard } = this.options
+    const { currentModel, modelIntroState } = this
+
+    switch (command) {
+      case 'rotate-left':
+      case 'rotate-right': {
+        if (!currentModel || modelIntroState.intro.active) return
+        const step = THREE.MathUtils.degToRad(keyboard.rotateStepDeg) * (command === 'rotate-left' ? -1 : 1)
+        this.cancelSnap()
+        this.cancelInertia()
+        // Holding the key keeps adding to the turn still in progress instead of restarting it
+        this.motion.spin.request({ amount: step, duration: 0.3 }, 'additive')
+        return
+      }
+      case 'tilt-up':
+      case 'tilt-down': {
+        if (!currentModel || modelIntroState.intro.active) return
+        const { tilt } = this.motionTracks
+        const fromDeg = THREE.MathUtils.radToDeg(tilt.active ? tilt.to : currentModel.rotation.x)
+        this.cancelSnap()
+        this.cancelInertia()
+        const toDeg = fromDeg + keyboard.tiltStepDeg * (command === 'tilt-up' ? -1 : 1) // Down = like dragging down
+        this.motion.tilt.request({ target: THREE.MathUtils.degToRad(toDeg), duration: 0.3 }, 'replace')
+        return
+      }
+      case 'zoom-in':
+      case 'zoom-out': {
+        if (!currentModel) return
+        const from = this.zoomTargetDistance ?? this.getCameraDistance()
+        this.setCameraDistance(command === 'zoom-in' ? from / keyboard.zoomStep : from * keyboard.zoomStep, { smooth: true })
+        return
+      }
+      default:
+        this.handleModelAction(command)
+    }
+  }
+
+  // Roll the view around the line of sight (the camera's "up" follows the twist)
+  setCameraRoll(roll) {
+    this.cameraRoll = roll
+    this.camera.up.set(-Math.sin(roll), Math.cos(roll), 0)
+    this.controls.update() // Re-aims the camera using the new up vector
+  }
+
+  // Quick tap twice in the same spot -> back to the starting view
+  detectDoubleTap(event, pointer) {
+    if (!this.options.touch.doubleTapReset || event.pointerType !== 'touch') return
+    const isTap = event.timeStamp - pointer.downTime < 250
+    if (!isTap) return
+
+    const { lastTap } = this
+    const isDoubleTap = event.timeStamp - lastTap.time < 300 && Math.hypot(event.clientX - lastTap.x, event.clientY - lastTap.y) < 30
+    if (isDoubleTap) {
+      lastTap.time = 0
+      this.handleModelAction('reset-view')
+      return
+    }
+    lastTap.time = event.timeStamp
+    lastTap.x = event.clientX
+    lastTap.y = event.clientY
+  }
+
+  onPointerUp(event) {
+    const pointer = this.activePointers.get(event.pointerId)
+    if (!pointer) return
+    this.activePointers.delete(event.pointerId)
+    try {
+      this.renderer.domElement.releasePointerCapture(event.pointerId)
+    } catch (e) {
+      // Ignore errors if pointer capture was not set
+    }
+
+    if (this.gestureState.active) {
+      // Lifting one finger ends the pinch; the other one doesn't start a new drag until it lifts too
+      if (this.activePointers.size < 2) this.endGesture()
+      return
+    }
+    if (event.pointerId === this.dragPointerId) {
+      this.endDrag()
+      if (event.type === 'pointerup') this.detectDoubleTap(event, pointer)
+    }
+  }
+
+  onPointerLeave(event) {
+    // Captured pointers keep reporting outside the canvas; only uncaptured ones end here
+    if (this.renderer.domElement.hasPointerCapture?.(event.pointerId)) return
+    if (event.pointerType === 'mouse') this.wheelZoomArmed = false // Scrolling the page past the model is safe again
+    this.onPointerUp(event)
+  }
+
+  // ============================================================================
+  // ACTIONS - Named model movements (buttons, host page, custom element methods)
+  // ============================================================================
+  // Snapshot of the model's orientation and running animations (sent back with every reply)
+  getModelState() {
+    const { currentModel, modelIntroState } = this
+    const toDeg = THREE.MathUtils.radToDeg
+    return {
+      loaded: Boolean(currentModel),
+      model: this.currentModelFile,
+      product: this.product?.id ?? null,
+      rotation: currentModel
+        ? { x: toDeg(currentModel.rotation.x), y: toDeg(currentModel.rotation.y), z: toDeg(currentModel.rotation.z) }
+        : null,
+      animation: this.clipPlayer?.getState() ?? null, // Embedded clip playing (play-clip), if any
+      clips: this.clipPlayer?.list() ?? [],
+      timeline: this.timelines.get('timeline')?.getState() ?? null, // { playing, time, duration, loop, progress }
+      scroll: this.scrollState.active ? { progress: this.scrollState.target } : null,
+      camera: {
+        zoom: this.framedDistance / this.getCameraDistance(), // 1 = framed view, 2 = twice as close
+        rollDeg: toDeg(this.cameraRoll),
+      },
+      animating: {
+        fade: this.timelines.isAnimating('opacity'),
+        spin: this.motionTracks.spin.active,
+        tilt: this.motionTracks.tilt.active,
+        intro: modelIntroState.intro.active,
+        inertia: this.inertiaState.active,
+        gesture: this.gestureState.active,
+        snap: this.snapRotationState.active,
+        snapTargets: Object.fromEntries(
+          Object.entries(this.snapRotationState.targets).map(([axis, { target, detent }]) => [
+            axis,
+            { targetDeg: THREE.MathUtils.radToDeg(target), detent },
+          ])
+        ),
+      },
+      motion: { spin: this.motion.spin.getState(), tilt: this.motion.tilt.getState() }, // { active, paused, queued }
+      queuedActions: this.actionQueue.size,
+    }
+  }
+
+  // Public entry point for actions (buttons, host page, element methods).
+  // Actions that arrive before the model has loaded and finished its intro are queued and replayed.
+  // `params` tunes actions that take arguments (e.g. { degrees } for 'tilt').
+  // `onResult` receives { ok, error } once the action has actually run (or was dropped).
+  handleModelAction(action, params = {}, onResult) {
+    // Loading never waits for a model, and answers once the new model is on screen
+    if (action === 'load-model') return this.runLoadModelAction(params, onResult)
+    // Scroll updates stream in many times per second: only the latest value matters, so they skip the queue
+    if (action === 'scroll-progress' || action === 'set-scroll-story') {
+      const result = this.runScrollAction(action, params)
+      onResult?.(result)
+      return result
+    }
+    // Snap rules don't need a model either: they also apply to the next one
+    if (action === 'set-snap-rules') {
+      const { ok, errors } = this.setSnapRules(params.rules === undefined ? params : params.rules)
+      const result = ok ? actionResult(true) : actionResult(false, ERROR_CODES.badRequest, `Invalid snap rules: ${errors.join('; ')}`)
+      onResult?.(result)
+      return result
+    }
+    return this.actionQueue.enqueue(action, params, onResult)
+  }
+
+  // 'load-model' action: { product } is a manifest id, { file } a plain filename in /models
+  runLoadModelAction(params, onResult) {
+    const fail = (message) => {
+      const result = actionResult(false, ERROR_CODES.badRequest, message)
+      onResult?.(result)
+      return result
+    }
+
+    let loading
+    if (typeof params.product === 'string') {
+      if (!findProduct(this.manifest, params.product)) return fail(`Unknown product "${params.product}"`)
+      loading = this.loadProduct(params.product)
+    } else if (typeof params.file === 'string' && params.file.trim() !== '') {
+      // Same rule as ?model=: a plain filename from /models, never a folder path or another site's URL
+      const file = params.file.trim()
+      if (!isSafeModelFile(file)) return fail(`"file" must be a plain .glb/.gltf filename from /models, got "${file}"`)
+      loading = this.loadModel(file)
+    } else {
+      return fail('The "load-model" action needs a "product" or "file" param')
+    }
+
+    loading
+      .then(() => onResult?.(actionResult(true)))
+      .catch((err) => onResult?.(actionResult(false, ERROR_CODES.loadFailed, err?.message || String(err))))
+    return { ...actionResult(true), queued: true }
+  }
+
+  // Central place to map UI actions to model movements ('load-model' is handled above).
+  // Add new buttons by giving them a `data-model-action` and extending the switch below.
+  // Returns { ok, error } so callers (like the iframe bridge) can report the outcome
+  // (with `queued: true` / `ignored: true` when the animation policy held back or dropped the move).
+  runModelAction(action, params = {}) {
+    const { currentModel } = this
+    const tiltClamp = this.snapRotationSettings.axes.x?.clampDeg
+    if (!currentModel) {
+      console.warn('Model action ignored because no model is loaded yet.')
+      return actionResult(false, ERROR_CODES.noModel, 'No model is loaded yet')
+    }
+
+    // Clip playback doesn't move the model, so it leaves snapping and inertia alone
+    if (action.endsWith('-clip')) return this.runClipAction(action, params)
+    if (action.endsWith('-timeline')) return this.runTimelineAction(action, params)
+
+    // Spins and tilts take an optional `easing`: a name or spring from easing.js (default easeInOutCubic)
+    const easing = params.easing ?? 'easeInOutCubic'
+    const easingError = validateEasing(easing)
+    if (easingError) return actionResult(false, ERROR_CODES.badRequest, `Invalid "easing" param: ${easingError}`)
+
+    // …and a `policy` for when a spin/tilt is already running (defaults in the animation.policies option)
+    const policy = params.policy ?? this.motionPolicies[action] ?? 'replace'
+    if (!MOTION_POLICIES.includes(policy)) {
+      return actionResult(false, ERROR_CODES.badRequest, `"policy" must be one of ${MOTION_POLICIES.join(', ')}`)
+    }
+    const { spin, tilt } = this.motion
+    const toRad = THREE.MathUtils.degToRad
+    let outcome = 'started' // What the motion channel did with the move: started, added, queued or ignored
+
+    this.cancelSnap()
+    this.cancelInertia()
+
+    switch (action) {
+      case 'reset-view': {
+        this.timelines.claim(ROTATION_PROPERTIES) // Spins, tilts and timelines let go of the rotation
+        currentModel.position.set(0, 0, 0)
+        this.applyInitialRotation(currentModel)
+        this.controls.target.set(0, 0, 0)
+        this.frameObject(currentModel)
+        break
+      }
+      case 'spin': {
+        // Full turn by default; pass { degrees, duration, easing } for a custom spin
+        const degrees = Number.isFinite(params.degrees) ? params.degrees : 360
+        const duration = Number.isFinite(params.duration) ? params.duration : 2
+        outcome = spin.request({ amount: toRad(degrees), duration, easing }, policy)
+        break
+      }
+      case 'turn-left': {
+        // Rotate left by 90 degrees (quarter turn) with easing
+        outcome = spin.request({ amount: -Math.PI / 2, duration: 1.25, easing }, policy)
+        break
+      }
+      case 'turn-right': {
+        // Rotate right by 90 degrees (quarter turn) with easing
+        outcome = spin.request({ amount: Math.PI / 2, duration: 1.25, easing }, policy)
+        break
+      }
+      case 'tilt-forward': {
+        // Tilt forward by 25 degrees (clamped by configuration)
+        const max = tiltClamp ? Math.min(25, tiltClamp.max) : 25
+        outcome = tilt.request({ target: toRad(max), duration: 1, easing }, policy)
+        break
+      }
+      case 'tilt-back': {
+        // Tilt backward toward the minimum clamp (default -25 deg)
+        const min = tiltClamp ? Math.max(-25, tiltClamp.min) : -25
+        outcome = tilt.request({ target: toRad(min), duration: 1, easing }, policy)
+        break
+      }
+      case 'tilt-neutral': {
+        // Return to upright position (0 degrees)
+        outcome = tilt.request({ target: 0, duration: 0.9, easing }, policy)
+        break
+      }
+      case 'tilt': {
+        // Tilt to an exact angle: { degrees, duration, easing } (clamped by configuration)
+        if (!Number.isFinite(params.degrees)) {
+          return actionResult(false, ERROR_CODES.badRequest, 'The "tilt" action needs a numeric "degrees" param')
+        }
+        const duration = Number.isFinite(params.duration) ? params.duration : 1
+        outcome = tilt.request({ target: toRad(params.degrees), duration, easing }, policy)
+        break
+      }
+      default:
+        console.warn(`No handler configured for model action "${action}"`)
+        return actionResult(false, ERROR_CODES.unknownAction, `No handler configured for model action "${action}"`)
+    }
+
+    // Tell the caller when the move is waiting for the running one, or was dropped by the 'ignore' policy
+    if (outcome === 'queued' || outcome === 'ignored') return { ...actionResult(true), [outcome]: true }
+    return actionResult(true)
+  }
+
+  // Embedded animation actions:
+  //   play-clip { clip, loop: 'repeat'|'once'|'pingpong', repetitions, fade, timeScale }
+  //   crossfade-clip { clip, duration }, seek-clip { time }, loop-clip { loop, repetitions },
+  //   pause-clip, resume-clip, stop-clip
+  runClipAction(action, params) {
+    const { clipPlayer } = this
+    const needClip = () => {
+      if (typeof params.clip !== 'string') throw new Error(`The "${action}" action needs a "clip" name param`)
+      return params.clip
+    }
+    const seconds = (value, name) => {
+      if (value !== undefined && !Number.isFinite(value)) throw new Error(`"${name}" must be a number of seconds`)
+      return value
+    }
+
+    try {
+      switch (action) {
+        case 'play-clip':
+          clipPlayer.play(needClip(), {
+            loop: params.loop,
+            repetitions: Number.isFinite(params.repetitions) ? params.repetitions : undefined,
+            fade: seconds(params.fade, 'fade'),
+            timeScale: Number.isFinite(params.timeScale) ? params.timeScale : undefined,
+          })
+          break
+        case 'crossfade-clip':
+          clipPlayer.crossfade(needClip(), seconds(params.duration, 'duration'))
+          break
+        case 'seek-clip':
+          if (!Number.isFinite(params.time)) throw new Error('The "seek-clip" action needs a numeric "time" param (seconds)')
+          clipPlayer.seek(params.time)
+          break
+        case 'loop-clip':
+          clipPlayer.setLoop(params.loop ?? 'repeat', Number.isFinite(params.repetitions) ? params.repetitions : undefined)
+          break
+        case 'pause-clip':
+          clipPlayer.pause()
+          break
+        case 'resume-clip':
+          clipPlayer.resume()
+          break
+        case 'stop-clip':
+          clipPlayer.stop()
+          break
+        default:
+          return actionResult(false, ERROR_CODES.unknownAction, `No handler configured for model action "${action}"`)
+      }
+    } catch (err) {
+      return actionResult(false, ERROR_CODES.badRequest, err.message)
+    }
+    return actionResult(true)
+  }
+
+  // ============================================================================
+  // TIMELINES - Keyframed model/camera/light choreography (see timeline.js)
+  // ============================================================================
+  // What each timeline property reads and writes (rotation and roll in degrees, zoom as a factor)
+  getTimelineTargets() {
+    const { currentModel } = this
+    const toDeg = THREE.MathUtils.radToDeg
+    const toRad = THREE.MathUtils.degToRad
+    const targets = {
+      'camera.zoom': {
+        get: () => this.framedDistance / this.getCameraDistance(),
+        set: (zoom) => this.setCameraDistance(this.framedDistance / Math.max(zoom, 0.01)),
+      },
+      'camera.roll': {
+        get: () => toDeg(this.cameraRoll),
+        set: (deg) => this.setCameraRoll(toRad(deg)),
+      },
+    }
+
+    SNAP_AXES.forEach((axis) => {
+      targets[`rotation.${axis}`] = {
+        get: () => toDeg(currentModel.rotation[axis]),
+        set: (deg) => {
+          currentModel.rotation[axis] = toRad(deg)
+          this.clampAxis(axis)
+        },
+      }
+    })
+
+    const lights = { hemi: [this.hemiLight], sun: [this.sun], area: this.areaLights }
+    this.areaLights.forEach((light, index) => {
+      lights[`area-${index + 1}`] = [light]
+    })
+    Object.entries(lights).forEach(([name, group]) => {
+      targets[`light.${name}.intensity`] = {
+        get: () => group[0].intensity,
+        set: (value) => group.forEach((light) => {
+          light.intensity = Math.max(value, 0)
+        }),
+      }
+    })
+
+    // Fading needs `transparent` on; each material's own setting is remembered so restore() can put it back
+    const materials = collectMaterials(currentModel)
+    const ownTransparent = new Map() // material -> `transparent` before the first opacity write
+    targets.opacity = {
+      get: () => (materials.length > 0 ? materials.reduce((sum, mat) => sum + mat.opacity, 0) / materials.length : 1),
+      set: (value) => materials.forEach((mat) => {
+        if (!ownTransparent.has(mat)) ownTransparent.set(mat, mat.transparent)
+        mat.transparent = true
+        mat.opacity = THREE.MathUtils.clamp(value, 0, 1)
+      }),
+      // Called when the timeline ends or stops. A model left partly faded keeps transparency so it still shows faded.
+      restore: () => {
+        ownTransparent.forEach((transparent, mat) => {
+          mat.transparent = transparent || mat.opacity < 1
+        })
+        ownTransparent.clear()
+      },
+    }
+    return targets
+  }
+
+  // Stop the timeline where it is and hand material transparency back to the model.
+  // Pass `settle` to snap the model afterwards: a spring snap carries on at the speed the timeline was turning it.
+  stopTimeline(settle = false) {
+    if (!this.timelines.get('timeline')) return
+    if (settle) this.applyRotationSnap() // Reads the speed while the timeline still plays, then takes the rotation over
+    const player = this.timelines.stop('timeline')
+    player.pause()
+    player.targets.opacity?.restore()
+  }
+
+  // Start a timeline (JSON, or { preset, ...params }). Invalid timelines are rejected as a whole.
+  playTimeline(input) {
+    if (!this.currentModel) return { ok: false, errors: ['No model is loaded yet'] }
+    const { timeline, errors } = resolveTimeline(input, { rotationDeg: this.getModelState().rotation })
+    if (errors.length > 0) return { ok: false, errors }
+
+    const targets = this.getTimelineTargets()
+    const unknown = timeline.tracks.filter((track) => !targets[track.property]).map((track) => track.property)
+    if (unknown.length > 0) return { ok: false, errors: [`Unknown light in ${unknown.join(', ')}`] }
+
+    this.stopTimeline() // A timeline that was already playing makes way
+    this.cancelSnap()
+    this.cancelInertia()
+    const player = createTimelinePlayer(timeline, targets, {
+      onEnd: () => {
+        targets.opacity?.restore()
+        this.emit(VIEWER_EVENTS.timelineEnd, player.getState())
+        this.applyRotationSnap() // Let the model settle like after a drag
+      },
+    })
+    // Spins and tilts on the same axes give way; when something takes every property the timeline
+    // animates (a spin, a drag, the scroll story), it pauses until resume-timeline
+    this.timelines.start('timeline', player, { onInterrupt: () => player.pause() })
+    return { ok: true, errors: [] }
+  }
+
+  // Timeline actions:
+  //   play-timeline { timeline } or { preset: 'spin' | 'tilt' | 'turntable' | 'intro', loop, ...preset params }
+  //   seek-timeline { time } or { progress: 0-1 }, loop-timeline { loop }, pause-timeline, stop-timeline,
+  //   resume-timeline (a 'once' timeline that already ended plays again from the start)
+  runTimelineAction(action, params) {
+    if (action === 'play-timeline') {
+      const { ok, errors } = this.playTimeline(params.timeline ?? params)
+      return ok ? actionResult(true) : actionResult(false, ERROR_CODES.badRequest, `Invalid timeline: ${errors.join('; ')}`)
+    }
+
+    const player = this.timelines.get('timeline')
+    if (!player) return actionResult(false, ERROR_CODES.badRequest, 'No timeline is playing')
+    switch (action) {
+      case 'pause-timeline':
+        player.pause()
+        break
+      case 'resume-timeline':
+        this.timelines.resume('timeline') // Takes its properties back from a spin or tilt that paused it
+        break
+      case 'seek-timeline': {
+        const { duration } = player.getState()
+        const time = Number.isFinite(params.progress) ? params.progress * duration : params.time
+        if (!Number.isFinite(time)) {
+          return actionResult(false, ERROR_CODES.badRequest, 'The "seek-timeline" action needs a numeric "time" or "progress" param')
+        }
+        player.seek(time)
+        break
+      }
+      case 'loop-timeline':
+        if (!TIMELINE_LOOPS.includes(params.loop)) {
+          return actionResult(false, ERROR_CODES.badRequest, `"loop" must be one of ${TIMELINE_LOOPS.join(', ')}`)
+        }
+        player.setLoop(params.loop)
+        break
+      case 'stop-timeline':
+        this.stopTimeline(true) // The model settles like after a drag
+        break
+      default:
+        return actionResult(false, ERROR_CODES.unknownAction, `No handler configured for model action "${action}"`)
+    }
+    return actionResult(true)
+  }
+
+  // ============================================================================
+  // SCROLL STORY - Pose the model from the host page's scroll progress
+  // ============================================================================
+  // Replace the scroll story (null = the default). Invalid stories are rejected as a whole.
+  setScrollStory(input, smoothing) {
+    const { story, errors } = normalizeScrollStory(input ?? defaultScrollStory)
+    if (errors.length > 0) return { ok: false, errors }
+    if (smoothing !== undefined) {
+      if (!Number.isFinite(smoothing) || smoothing <= 0 || smoothing > 1) {
+        return { ok: false, errors: ['"smoothing" must be a number between 0 (exclusive) and 1'] }
+      }
+      this.options.scroll.smoothing = smoothing
+    }
+    this.scrollState.story = story
+    this.scrollState.dirty = true // The new story poses the model on the next frame
+    return { ok: true, errors: [] }
+  }
+
+  // Progress 0-1 from the host page (or a direct scroll listener); the first call turns scroll mode on
+  setScrollProgress(progress) {
+    const { scrollState } = this
+    const clamped = THREE.MathUtils.clamp(progress, 0, 1)
+    if (!scrollState.active) {
+      scrollState.active = true
+      scrollState.current = clamped // Start where the page already is instead of sweeping from the top
+      scrollState.dirty = true
+    }
+    scrollState.target = clamped
+  }
+
+  // scroll-progress { progress }, set-scroll-story { story, smoothing } (story null = default, false = stop scroll mode)
+  runScrollAction(action, params) {
+    if (action === 'scroll-progress') {
+      if (!Number.isFinite(params.progress)) {
+        return actionResult(false, ERROR_CODES.badRequest, 'The "scroll-progress" action needs a numeric "progress" param (0-1)')
+      }
+      this.setScrollProgress(params.progress)
+      return actionResult(true)
+    }
+
+    if (params.story === false) {
+      this.scrollState.active = false
+      this.scrollState.targets?.opacity?.restore()
+      return actionResult(true)
+    }
+    const { ok, errors } = this.setScrollStory(params.story, params.smoothing)
+    return ok ? actionResult(true) : actionResult(false, ERROR_CODES.badRequest, `Invalid scroll story: ${errors.join('; ')}`)
+  }
+
+  // Ease the displayed progress toward the host's and pose the model; idle once caught up,
+  // so a drag between scrolls isn't overwritten
+  updateScrollStory(delta) {
+    const { scrollState, currentModel } = this
+    if (!scrollState.active || !currentModel || this.modelIntroState.intro.active) return
+    const gap = scrollState.target - scrollState.current
+    if (Math.abs(gap) < 1e-4 && !scrollState.dirty) return
+    scrollState.dirty = false
+
+    const smoothing = this.isReducedMotion() ? 1 : this.options.scroll.smoothing
+    const follow = 1 - Math.pow(1 - smoothing, delta * 60) // Same feel at any frame rate
+    scrollState.current = follow >= 1 ? scrollState.target : scrollState.current + gap * follow
+
+    if (!scrollState.targets) scrollState.targets = this.getTimelineTargets()
+    this.cancelSnap()
+    this.cancelInertia()
+    this.timelines.claim(scrollState.story.tracks.map((track) => track.property)) // Scrolling takes over what the story poses
+    scrollState.story.tracks.forEach((track) => {
+      scrollState.targets[track.property]?.set(sampleTrack(track, scrollState.current)) // Rotation is clamped by the snap rules
+    })
+  }
+
+  // ============================================================================
+  // ENVIRONMENT MAP - Load HDR background lighting (keeps background transparent)
+  // ============================================================================
+  loadEnvironmentMap(hdrFile = defaultViewerOptions.environment) {
+    this.currentEnvironmentFile = hdrFile
+    this.rgbeLoader.load(
+      this.assetUrl('environments', hdrFile),
+      (texture) => {
+        if (this.disposed) {
+          texture.dispose() // Viewer was torn down while the HDR was downloading
+          return
+        }
+        if (this.currentEnvironment) {
+          this.currentEnvironment.dispose()
+        }
+        texture.mapping = THREE.EquirectangularReflectionMapping
+        this.scene.environment = texture // Use HDR for reflections and lighting
+        this.currentEnvironment = texture
+        console.log('HDR environment loaded:', hdrFile)
+      },
+      undefined,
+      (error) => {
+        console.error('Failed to load HDR environment:', hdrFile, error)
+      }
+    )
+  }
+
+  // ============================================================================
+  // FRAME OBJECT - Centers the model and positions camera to see it properly
+  // ============================================================================
+  frameObject(object3d) {
+    const { camera, controls } = this
+
+    // Calculate the bounding box (the size and position of the model)
+    const box = new THREE.Box3().setFromObject(object3d)
+    const size = box.getSize(new THREE.Vector3()) // Get width, height, depth
+
+    // Re-target the camera at the object's center (pivot keeps model near 0,0,0)
+    controls.target.set(0, 0, 0)
+
+    // Calculate how far the camera should be to see the whole model
+    const maxDim = Math.max(size.x, size.y, size.z) // Largest dimension
+    const fov = camera.fov * (Math.PI / 180) // Convert degrees to radians
+    let distance = maxDim / (2 * Math.tan(fov / 2)) // Math to fit model in view
+    distance *= this.cameraPadding // Padding so model isn't right at the edge (1.5 = 50%, set per product)
+
+    // Position camera directly in front of model, face-on (looking down Z-axis)
+    camera.position.set(0, 0, distance)
+    this.framedDistance = distance // Pinch/wheel zoom limits are multiples of this
+    this.zoomTargetDistance = null // Cancel any wheel zoom still easing
+    this.cameraRoll = 0
+    camera.up.set(0, 1, 0) // Undo any two-finger roll
+
+    // Adjust camera clipping planes based on model size
+    camera.near = Math.max(distance / 1000, 0.01) // Don't clip too close
+    camera.far = Math.max(distance * 100, 2000) // Don't clip too far
+    camera.updateProjectionMatrix() // Apply the changes
+    controls.update() // Update orbit controls
+  }
+
+  // ============================================================================
+  // PRODUCTS - Per-model defaults from the manifest
+  // ============================================================================
+  // Give the viewer the product list (see manifest.js). Models whose file matches a product
+  // pick up that product's texture, environment, rotation, snap rules and camera padding.
+  setManifest(manifest) {
+    this.manifest = manifest
+  }
+
+  // Load a product by its manifest id
+  loadProduct(id) {
+    const product = findProduct(this.manifest, id)
+    if (!product) return Promise.reject(new Error(`Unknown product "${id}"`))
+    return this.loadModel(product.file, product)
+  }
+
+  // Apply a product's settings (or the viewer defaults when `product` is null) before its model appears
+  applyProductSettings(product) {
+    this.product = product
+
+    // Snap rules: defaults, then the product's, then the `snapRules` option (valid parts are kept)
+    this.productSnapRules = this.readSnapRules('product', product?.snap, defaultSnapRules)
+    this.snapRotationSettings = this.readSnapRules('snapRules option', this.options.snapRules, this.productSnapRules)
+
+    this.cameraPadding = product?.cameraPadding ?? defaultCameraPadding
+    this.initialRotation = { x: 0, y: 0, z: 0, ...product?.rotation }
+
+    const environment = product?.environment ?? this.options.environment
+    if (environment && environment !== this.currentEnvironmentFile) this.loadEnvironmentMap(environment)
+  }
+
+  // Put the model in its starting pose (product `rotation`, degrees)
+  applyInitialRotation(object3d) {
+    const toRad = THREE.MathUtils.degToRad
+    object3d.rotation.set(toRad(this.initialRotation.x), toRad(this.initialRotation.y), toRad(this.initialRotation.z))
+  }
+
+  // ============================================================================
+  // LOAD MODEL - Loads a .glb file (filename from /models, or a full URL)
+  // ============================================================================
+  // Returns a promise that resolves once the model is in the scene (or rejects if it fails).
+  // Calling it again while a model is on screen swaps models with a crossfade.
+  // `product` defaults to the manifest entry whose file matches, so its per-model settings apply.
+  loadModel(modelFile = this.options.model, product = findProductByFile(this.manifest, modelFile)) {
+    const { modelIntroState } = this
+    const token = ++this.loadToken
+    this.loadFailed = false // Actions can wait for this load
+    console.log('Loading model:', modelFile)
+    this.emit(VIEWER_EVENTS.loadStart, { file: modelFile })
+
+    return new Promise((resolve, reject) => {
+      // Load the model file
+      this.gltfLoader.load(
+        this.assetUrl('models', modelFile), // File to load
+        (gltf) => {
+          // SUCCESS - Model loaded!
+          if (this.disposed || token !== this.loadToken) {
+            // Viewer was torn down, or a newer loadModel() call replaced this one, while downloading
+            disposeObject3D(gltf.scene)
+            reject(new Error(this.disposed ? 'Viewer was disposed' : `Load of "${modelFile}" was superseded`))
+            return
+          }
+          console.log('Model loaded successfully:', gltf)
+
+          // Keep the previous model around just long enough to crossfade out of it
+          const outgoingPivot = this.currentModel
+          const outgoingRotation = outgoingPivot ? outgoingPivot.rotation.clone() : null
+
+          this.cancelMotion() // Queued moves were meant for the old model
+          this.currentModel = null
+          this.cancelSnap()
+          this.cancelInertia()
+          this.clipPlayer?.dispose() // The outgoing model stops animating while it fades out
+          this.clipPlayer = null
+          this.timelines.stopAll() // Timelines (and the old model's intro) belong to the model they were started on
+          this.scrollState.targets = null
+          this.scrollState.dirty = true // Pose the new model at the page's progress
+          modelIntroState.intro.active = false
+
+          // Name for screen readers and host pages (read before the scene gets renamed below)
+          const metadata = this.readModelMetadata(gltf, modelFile, product)
+          this.modelName = metadata.name
+          this.updateCanvasLabel(metadata)
+
+          // Get the model from the loaded file
+          const root = gltf.scene
+          root.name = 'LoadedModelRoot' // Give it a name so we can find it later
+          root.scale.setScalar(1) // Start at normal size (scale = 1)
+          root.rotation.set(0, 0, 0) // Reset rotation when loading a new model
+
+          // Move the mesh so its bounding-box center sits at the origin; the pivot stays at 0,0,0
+          const rootBounds = new THREE.Box3().setFromObject(root)
+          const rootCenter = rootBounds.getCenter(new THREE.Vector3())
+          root.position.sub(rootCenter)
+
+          const pivot = new THREE.Object3D()
+          pivot.name = 'LoadedModelPivot'
+          pivot.add(root)
+          pivot.position.set(0, 0, 0)
+          this.applyProductSettings(product) // Snap rules, camera padding, environment for this model
+          this.applyInitialRotation(pivot)
+          this.currentModel = pivot // All interactive rotations operate on this pivot
+          this.currentModelFile = modelFile
+
+          // Enable shadows on all meshes in the model
+          let meshCount = 0
+          root.traverse((obj) => {
+            if (obj.isMesh) {
+              obj.castShadow = true // Model can cast shadows
+              obj.receiveShadow = true // Model can receive shadows
+              meshCount++
+            }
+          })
+          console.log(`Found ${meshCount} meshes in model`)
+
+          // Optional: Load a texture for materials without one (`texture` option / ?texture=texture.jpg)
+          const textureName = this.options.texture ?? this.product?.texture
+          if (textureName) {
+            const tex = this.textureLoader.load(this.assetUrl('textures', textureName))
+            root.traverse((obj) => {
+              if (obj.isMesh && obj.material) {
+                // Apply texture to materials that don't have one
+                if (Array.isArray(obj.material)) {
+                  obj.material.forEach((m) => {
+                    if (m.map === null || m.map === undefined) m.map = tex
+                  })
+                } else {
+                  if (obj.material.map === null || obj.material.map === undefined) {
+                    obj.material.map = tex
+                    obj.material.needsUpdate = true
+                  }
+                }
+              }
+            })
+          }
+
+          // Add pivot + model to the scene
+          this.scene.add(pivot)
+
+          // Center and frame the model in the camera view
+          this.frameObject(pivot)
+          console.log('Model added to scene and framed')
+
+          if (outgoingPivot) {
+            // Swapping models: keep the orientation and crossfade instead of replaying the intro
+            pivot.rotation.copy(outgoingRotation)
+            this.startModelCrossfade(outgoingPivot)
+          } else {
+            this.startModelIntroAnimation() // Queued actions replay once this intro finishes
+          }
+
+          // Update shadow camera to cover the model size
+          const modelBox = new THREE.Box3().setFromObject(pivot)
+          const modelSize = modelBox.getSize(new THREE.Vector3())
+          const maxSize = Math.max(modelSize.x, modelSize.y, modelSize.z)
+          const shadowSize = maxSize * 2 // Make shadow area 2x the model size
+          const shadowCamera = this.sun.shadow.camera
+          shadowCamera.left = -shadowSize
+          shadowCamera.right = shadowSize
+          shadowCamera.top = shadowSize
+          shadowCamera.bottom = -shadowSize
+          shadowCamera.updateProjectionMatrix()
+
+          // Embedded animation clips (the attachment clicking on, the barrel rotating…)
+          this.clipPlayer = createClipPlayer(root, gltf.animations, {
+            onFinished: (detail) => this.emit(VIEWER_EVENTS.clipEnd, detail),
+          })
+
+          const loadedDetail = {
+            file: modelFile,
+            meshCount,
+            product: product?.id ?? null,
+            name: metadata.name,
+            clips: this.clipPlayer.list(),
+          }
+          this.emit(VIEWER_EVENTS.loaded, loadedDetail)
+          resolve(loadedDetail)
+        },
+        (progress) => {
+          if (this.disposed || token !== this.loadToken) return
+          // PROGRESS - Called while loading (shows loading percentage)
+          // `total` is 0 when the server doesn't send a Content-Length, so the percentage is unknown
+          const percent = progress.total > 0 ? (progress.loaded / progress.total) * 100 : null
+          console.log('Loading progress:', percent === null ? `${progress.loaded} bytes` : percent + '%')
+          this.emit(VIEWER_EVENTS.loadProgress, {
+            file: modelFile,
+            loaded: progress.loaded,
+            total: progress.total,
+            percent,
+          })
+        },
+        (err) => {
+          // ERROR - Model failed to load (the model already on screen, if any, stays)
+          if (!this.disposed && token === this.loadToken) {
+            console.error('Could not load GLB from /models/. Ensure the file exists and the name is correct.', err)
+            console.error('Attempted to load:', modelFile)
+            this.emit(VIEWER_EVENTS.loadError, { file: modelFile, message: err?.message || String(err) })
+            // With no model on screen the waiting actions were waiting for this one: answer them now
+            // instead of leaving them hanging. (With a model on screen they wait for its intro and still run.)
+            if (!this.currentModel) {
+              this.loadFailed = true
+              this.actionQueue.clear('model failed to load', ERROR_CODES.loadFailed)
+            }
+          }
+          reject(err instanceof Error ? err : new Error(String(err)))
+        }
+      )
+    })
+  }
+
+  // Handle container resizing - keep everything looking good when the box changes size
+  onResize() {
+    const { width, height } = this.getContainerSize()
+    this.camera.aspect = width / height // Update aspect ratio
+    this.camera.updateProjectionMatrix() // Apply the change
+    this.renderer.setSize(width, height) // Resize the canvas
+  }
+
+  // ============================================================================
+  // ANIMATION LOOP - Runs continuously to update the scene
+  // ============================================================================
+  animate() {
+    const now = performance.now()
+    const delta = Math.min((now - this.lastFrameTime) / 1000, 0.1) // Seconds since last frame (capped after a hidden tab)
+    this.lastFrameTime = now
+
+    this.controls.update() // Update camera controls (for smooth damping)
+    this.updateInertia()
+    this.updateZoom()
+    this.updateSnapRotation()
+    this.updateModelAnimations()
+    this.updateIntroCompletion()
+    this.clipPlayer?.update(delta)
+    this.timelines.update(delta) // Intro, spins, tilts and the host's timeline
+    this.updateScrollStory(delta)
+    this.renderer.render(this.scene, this.camera) // Draw everything to the screen
+    this.frameId = requestAnimationFrame(this.animate) // Run again on next frame (60fps)
+  }
+
+  // ============================================================================
+  // TEARDOWN - Free everything so an SPA can create and destroy viewers freely
+  // ============================================================================
+  // Stops the loop, removes listeners, frees every geometry/material/texture (model, lights,
+  // HDR) and releases the WebGL context. The viewer can't be used afterwards.
+  dispose() {
+    if (this.disposed) return
+    this.disposed = true
+
+    // Stop the animation loop and resize tracking
+    cancelAnimationFrame(this.frameId)
+    this.resizeObserver.disconnect()
+
+    // Remove input listeners
+    const canvas = this.renderer.domElement
+    canvas.removeEventListener('pointerdown', this.onPointerDown)
+    canvas.removeEventListener('pointermove', this.onPointerMove)
+    canvas.removeEventListener('pointerup', this.onPointerUp)
+    canvas.removeEventListener('pointerleave', this.onPointerLeave)
+    canvas.removeEventListener('pointercancel', this.onPointerUp)
+    canvas.removeEventListener('wheel', this.onWheel)
+    canvas.removeEventListener('keydown', this.onKeyDown)
+    canvas.removeEventListener('focus', this.onFocus)
+    canvas.removeEventListener('blur', this.onBlur)
+    this.controls.dispose()
+    this.loadingOverlay?.dispose()
+    this.zoomHint?.dispose()
+    this.announcer?.dispose()
+    this.disposeGLTFLoader() // Stops the Draco / KTX2 decoder workers
+    this.clipPlayer?.dispose()
+    this.clipPlayer = null
+
+    // Anyone still waiting on a queued action gets a "dropped" answer
+    this.actionQueue.clear('viewer disposed')
+    this.currentModel = null
+    this.timelines.stopAll()
+    this.modelIntroState.fadeOut.materials = []
+    this.modelIntroState.fadeOut.pivot = null
+
+    // Free the model, lights, helpers and their shadow maps
+    disposeObject3D(this.scene)
+    this.scene.clear()
+
+    // Free the HDR environment
+    this.scene.environment = null
+    this.currentEnvironment?.dispose()
+    this.currentEnvironment = null
+
+    // Release the WebGL context (browsers only allow a handful at once) and remove the canvas
+    this.renderer.renderLists.dispose()
+    this.renderer.dispose()
+    this.renderer.forceContextLoss()
+    canvas.remove()
+  }
+}
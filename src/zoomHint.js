@@ -0,0 +1,77 @@
+// ============================================================================
+// ZOOM HINT - "Use ctrl + scroll to zoom" toast, like map embeds show
+// ============================================================================
+// The viewer leaves plain scrolling to the host page until someone clicks or taps the model.
+// Scrolling over it before that shows this hint for a moment instead of zooming.
+// Styled with the same CSS custom properties as the loading overlay (--mhv-overlay-background / --mhv-overlay-text).
+
+const hintStyles = `
+  .mhv-zoom-hint {
+    position: absolute;
+    inset: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    pointer-events: none;
+    opacity: 0;
+    transition: opacity 0.2s ease;
+    font-family: -apple-system, system-ui, 'Segoe UI', sans-serif;
+    font-size: 14px;
+    color: var(--mhv-overlay-text, #f8fafc);
+  }
+  .mhv-zoom-hint--visible {
+    opacity: 1;
+  }
+  .mhv-zoom-hint__text {
+    padding: 10px 16px;
+    border-radius: 12px;
+    background: var(--mhv-overlay-background, rgba(15, 23, 42, 0.75));
+    backdrop-filter: blur(12px);
+  }
+  @media (prefers-reduced-motion: reduce) {
+    .mhv-zoom-hint {
+      transition: none;
+    }
+  }
+`
+
+// Mac users zoom with ⌘ (or a trackpad pinch, which browsers report as ctrl + wheel)
+function defaultHintText() {
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.userAgent)
+  return `Use ${isMac ? '⌘' : 'ctrl'} + scroll to zoom`
+}
+
+/**
+ * @param {HTMLElement} container - Positioned element the hint is centred in
+ * @param {object} [options]
+ * @param {string} [options.text] - Message to show (defaults to "Use ctrl + scroll to zoom")
+ * @param {number} [options.durationMs] - How long the hint stays visible
+ */
+export function createZoomHint(container, { text = defaultHintText(), durationMs = 1500 } = {}) {
+  const root = document.createElement('div')
+  root.className = 'mhv-zoom-hint'
+  root.setAttribute('part', 'zoom-hint') // Style from outside a shadow root with ::part(zoom-hint)
+  root.setAttribute('aria-hidden', 'true') // Visual nudge only
+  root.innerHTML = `<style>${hintStyles}</style><div class="mhv-zoom-hint__text"></div>`
+  root.querySelector('.mhv-zoom-hint__text').textContent = text
+  container.appendChild(root)
+
+  let hideTimer = null
+
+  return {
+    element: root,
+    show() {
+      root.classList.add('mhv-zoom-hint--visible')
+      clearTimeout(hideTimer)
+      hideTimer = setTimeout(() => root.classList.remove('mhv-zoom-hint--visible'), durationMs)
+    },
+    hide() {
+      clearTimeout(hideTimer)
+      root.classList.remove('mhv-zoom-hint--visible')
+    },
+    dispose() {
+      clearTimeout(hideTimer)
+      root.remove()
+    },
+  }
+}
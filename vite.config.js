@@ -1,11 +1,13 @@
 import { defineConfig } from 'vite'
+import { decodersPlugin } from './plugins/decoders.js'
 
 const basePath = process.env.VITE_BASE_PATH || '/modelhair/'
 const outDir = process.env.VITE_OUT_DIR || 'docs'
 
 export default defineConfig({
   base: basePath,
+  plugins: [decodersPlugin()], // Draco + KTX2 decoders served from <base>decoders/
   build: {
     outDir
   }
-})
\ No newline at end of file
+})
@@ -0,0 +1,19 @@
+import { defineConfig } from 'vite'
+
+// Builds the <model-hair-viewer> Web Component (src/element.js) next to the viewer build:
+// <outDir>/element/model-hair-viewer.js. It loads models/, textures/ and environments/ from <outDir>.
+// Run after the main build, which empties <outDir>.
+const outDir = process.env.VITE_OUT_DIR || 'docs'
+
+export default defineConfig({
+  publicDir: false, // The viewer build already copies /public
+  build: {
+    outDir: `${outDir}/element`,
+    emptyOutDir: true,
+    lib: {
+      entry: 'src/element.js',
+      formats: ['es'],
+      fileName: () => 'model-hair-viewer.js',
+    },
+  },
+})
@@ -0,0 +1,19 @@
+import { defineConfig } from 'vite'
+
+// Builds the host-page SDK (src/sdk.js) next to the viewer build: <outDir>/sdk/
+// Run after the main build, which empties <outDir>.
+const outDir = process.env.VITE_OUT_DIR || 'docs'
+
+export default defineConfig({
+  publicDir: false, // The viewer build already copies /public
+  build: {
+    outDir: `${outDir}/sdk`,
+    emptyOutDir: true,
+    lib: {
+      entry: 'src/sdk.js',
+      name: 'ModelHairViewer', // Global for the UMD build: window.ModelHairViewer.createViewer(...)
+      formats: ['es', 'umd'],
+      fileName: (format) => `modelhair-sdk.${format}.js`,
+    },
+  },
+})